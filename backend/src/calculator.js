@@ -0,0 +1,33 @@
+const path = require('path')
+const { pathToFileURL } = require('url')
+
+// The calculation library lives in /shared as an ES module so the webapp can import it
+// directly; CommonJS can only reach it through a dynamic import.
+const CALCULATOR_MODULE_URL = pathToFileURL(
+  path.join(__dirname, '..', '..', 'shared', 'calculator.js')
+).href
+
+let calculatorModule = null
+
+function loadCalculator() {
+  calculatorModule ??= import(CALCULATOR_MODULE_URL)
+  return calculatorModule
+}
+
+const isMissing = (value) => value === undefined || value === null
+
+// Fills the core inputs a POST /api/calculate caller left out with live values.
+// `ethPaymentShare` is a separate optional input that defaults to 1 (every cluster paying in ETH)
+// rather than to the live cluster share, so it never depends on which other inputs were sent.
+function resolveCalculatorInputs(body, live, inputKeys) {
+  const defaultedFromLive = inputKeys.filter((key) => isMissing(body[key]))
+  const inputs = inputKeys.reduce((acc, key) => {
+    acc[key] = body[key] ?? live[key]
+    return acc
+  }, {})
+  inputs.ethPaymentShare = body.ethPaymentShare ?? 1
+
+  return { inputs, defaultedFromLive }
+}
+
+module.exports = { loadCalculator, resolveCalculatorInputs }
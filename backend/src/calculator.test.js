@@ -0,0 +1,60 @@
+const assert = require('node:assert/strict')
+const { test } = require('node:test')
+const { loadCalculator, resolveCalculatorInputs } = require('./calculator')
+
+// The worked example in faq.md, section 6, as a fully explicit POST /api/calculate body.
+const FAQ_BODY = {
+  stakedEth: 5_000_000,
+  ethPrice: 3000,
+  ethApr: 0.04,
+  networkFee: 0.01,
+  ssvPrice: 40,
+  stakedSsv: 6_000_000,
+}
+
+const LIVE = {
+  stakedEth: 4_000_000,
+  ethPrice: 2500,
+  ethApr: 0.03,
+  networkFee: 0.01,
+  ssvPrice: 10,
+  stakedSsv: 5_000_000,
+}
+
+test('an explicit faq request defaults the ETH share to 1 and returns 2.5%', async () => {
+  const { CALCULATOR_INPUT_KEYS, calculateAccrual } = await loadCalculator()
+
+  const { inputs, defaultedFromLive } = resolveCalculatorInputs(
+    FAQ_BODY,
+    LIVE,
+    CALCULATOR_INPUT_KEYS
+  )
+
+  assert.equal(inputs.ethPaymentShare, 1)
+  assert.deepEqual(defaultedFromLive, [])
+  assert.ok(Math.abs(calculateAccrual(inputs).ssvApr - 0.025) < 1e-12)
+})
+
+test('the ETH share still defaults to 1 when core inputs come from live data', async () => {
+  const { CALCULATOR_INPUT_KEYS } = await loadCalculator()
+  const body = { ...FAQ_BODY, stakedEth: undefined }
+
+  const { inputs, defaultedFromLive } = resolveCalculatorInputs(body, LIVE, CALCULATOR_INPUT_KEYS)
+
+  assert.equal(inputs.stakedEth, LIVE.stakedEth)
+  assert.equal(inputs.ethPaymentShare, 1)
+  assert.deepEqual(defaultedFromLive, ['stakedEth'])
+})
+
+test('an explicit ethPaymentShare is used and echoed as given', async () => {
+  const { CALCULATOR_INPUT_KEYS } = await loadCalculator()
+
+  const { inputs, defaultedFromLive } = resolveCalculatorInputs(
+    { ethPaymentShare: 0.5 },
+    LIVE,
+    CALCULATOR_INPUT_KEYS
+  )
+
+  assert.equal(inputs.ethPaymentShare, 0.5)
+  assert.ok(!defaultedFromLive.includes('ethPaymentShare'))
+})
@@ -0,0 +1,135 @@
+const fs = require('fs')
+const { logger } = require('./logger')
+
+const log = logger.child({ component: 'config' })
+
+const DELTA_RANGE_KEYS = ['ethPrice', 'ssvPrice', 'stakedEth', 'networkFee']
+
+const DEFAULT_CALCULATOR_CONFIG = Object.freeze({
+  deltaRanges: {
+    ethPrice: { min: -100, max: 200 },
+    ssvPrice: { min: -100, max: 2000 },
+    stakedEth: { min: -25, max: 200 },
+    networkFee: { min: -50, max: 150 },
+  },
+  networkFeeBaseline: 0.01,
+  stakedSsvBaselinePercent: 25,
+})
+
+const CONFIG_WATCH_INTERVAL_MS = 2000
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+// Returns a list of human-readable problems; an empty list means the config is usable.
+function validateCalculatorConfig(config) {
+  const errors = []
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['Config must be a JSON object.']
+  }
+
+  const { deltaRanges, networkFeeBaseline, stakedSsvBaselinePercent } = config
+
+  if (!deltaRanges || typeof deltaRanges !== 'object') {
+    errors.push('`deltaRanges` must be an object.')
+  } else {
+    for (const key of DELTA_RANGE_KEYS) {
+      const range = deltaRanges[key]
+      if (!range || !isFiniteNumber(range.min) || !isFiniteNumber(range.max)) {
+        errors.push(`\`deltaRanges.${key}\` needs numeric \`min\` and \`max\`.`)
+      } else if (range.min > range.max) {
+        errors.push(`\`deltaRanges.${key}.min\` must not exceed \`max\`.`)
+      } else if (range.min < -100) {
+        errors.push(`\`deltaRanges.${key}.min\` must be >= -100.`)
+      } else if (range.min > 0 || range.max < 0) {
+        errors.push(`\`deltaRanges.${key}\` must include 0 (the baseline).`)
+      }
+    }
+  }
+
+  if (!isFiniteNumber(networkFeeBaseline) || networkFeeBaseline <= 0 || networkFeeBaseline > 1) {
+    errors.push('`networkFeeBaseline` must be a decimal in (0, 1].')
+  }
+
+  if (
+    !isFiniteNumber(stakedSsvBaselinePercent) ||
+    stakedSsvBaselinePercent < 0 ||
+    stakedSsvBaselinePercent > 100
+  ) {
+    errors.push('`stakedSsvBaselinePercent` must be between 0 and 100.')
+  }
+
+  return errors
+}
+
+const pickCalculatorConfig = (config) => ({
+  deltaRanges: DELTA_RANGE_KEYS.reduce((acc, key) => {
+    acc[key] = {
+      min: config.deltaRanges[key].min,
+      max: config.deltaRanges[key].max,
+    }
+    return acc
+  }, {}),
+  networkFeeBaseline: config.networkFeeBaseline,
+  stakedSsvBaselinePercent: config.stakedSsvBaselinePercent,
+})
+
+// Keeps the last valid config in memory and re-reads the file whenever it changes.
+// An invalid edit is logged and ignored so a typo never takes the calculator down.
+function createConfigStore({ filePath }) {
+  let current = pickCalculatorConfig(DEFAULT_CALCULATOR_CONFIG)
+  let loadedAt = null
+  let lastError = null
+
+  function reload() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+      const errors = validateCalculatorConfig(parsed)
+
+      if (errors.length > 0) {
+        throw new Error(errors.join(' '))
+      }
+
+      current = pickCalculatorConfig(parsed)
+      loadedAt = new Date().toISOString()
+      lastError = null
+
+      log.info('Loaded calculator config', { filePath })
+      return true
+    } catch (error) {
+      lastError = {
+        code: error.code === 'ENOENT' ? 'CONFIG_NOT_FOUND' : 'INVALID_CONFIG',
+        message: error.message,
+        timestamp: new Date().toISOString(),
+      }
+
+      log.error('Ignoring calculator config', {
+        filePath,
+        errorCode: lastError.code,
+        error,
+      })
+      return false
+    }
+  }
+
+  function watch() {
+    fs.watchFile(filePath, { interval: CONFIG_WATCH_INTERVAL_MS }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) {
+        reload()
+      }
+    }).unref()
+  }
+
+  return {
+    reload,
+    watch,
+    get: () => current,
+    status: () => ({ loadedAt, lastError }),
+  }
+}
+
+module.exports = {
+  DEFAULT_CALCULATOR_CONFIG,
+  createConfigStore,
+  validateCalculatorConfig,
+}
@@ -0,0 +1,132 @@
+const fs = require('fs')
+const path = require('path')
+const { logger } = require('./logger')
+
+const log = logger.child({ component: 'ethstore' })
+
+// Averaging windows reported side by side in `stakingApr.windows`. `upstreamField` is the
+// ETH.Store field that already carries the average; otherwise it is computed from tracked days.
+const APR_WINDOWS = {
+  today: { days: 1, upstreamField: 'apr' },
+  '7d': { days: 7, upstreamField: 'avgapr7d' },
+  '31d': { days: 31, upstreamField: 'avgapr31d' },
+  '365d': { days: 365, upstreamField: null },
+}
+
+const MAX_TRACKED_DAYS = 365
+
+const toDayRecord = (payload) => {
+  const day = Number(payload?.day)
+  if (!Number.isInteger(day) || typeof payload?.apr !== 'number' || !Number.isFinite(payload.apr)) {
+    return null
+  }
+
+  return {
+    day,
+    apr: payload.apr,
+    dayStart: payload.day_start ?? null,
+  }
+}
+
+// Keeps one APR sample per ETH.Store day on disk so longer windows survive restarts
+// and only the days we have not seen yet need to be backfilled.
+function createEthStoreDayStore({ filePath }) {
+  const days = new Map()
+
+  function load() {
+    if (!fs.existsSync(filePath)) {
+      return 0
+    }
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+      for (const record of Array.isArray(stored) ? stored : []) {
+        if (Number.isInteger(record?.day) && typeof record.apr === 'number') {
+          days.set(record.day, record)
+        }
+      }
+    } catch (error) {
+      log.error('Failed to read tracked days', { filePath, error })
+    }
+
+    return days.size
+  }
+
+  async function save() {
+    const ordered = [...days.values()].sort((a, b) => a.day - b.day)
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.promises.writeFile(filePath, JSON.stringify(ordered))
+  }
+
+  function upsert(payload) {
+    const record = toDayRecord(payload)
+    if (!record) return null
+
+    days.set(record.day, record)
+
+    const oldestKept = record.day - MAX_TRACKED_DAYS
+    for (const day of days.keys()) {
+      if (day <= oldestKept) {
+        days.delete(day)
+      }
+    }
+
+    return record
+  }
+
+  // Most recent days first, so a partial backfill fills the short windows before the long ones.
+  function missingDays(latestDay, limit) {
+    const missing = []
+    for (let day = latestDay - 1; day > latestDay - MAX_TRACKED_DAYS && day >= 0; day -= 1) {
+      if (!days.has(day)) {
+        missing.push(day)
+        if (missing.length >= limit) break
+      }
+    }
+    return missing
+  }
+
+  function windows(latestPayload) {
+    const latestDay = Number(latestPayload?.day)
+
+    return Object.entries(APR_WINDOWS).reduce((acc, [name, definition]) => {
+      const upstream = definition.upstreamField
+        ? latestPayload?.[definition.upstreamField]
+        : undefined
+
+      if (typeof upstream === 'number' && Number.isFinite(upstream)) {
+        acc[name] = {
+          value: upstream,
+          sourceField: definition.upstreamField,
+          daysCovered: definition.days,
+          daysRequired: definition.days,
+        }
+        return acc
+      }
+
+      const samples = Number.isInteger(latestDay)
+        ? Array.from({ length: definition.days }, (_, offset) => days.get(latestDay - offset))
+            .filter(Boolean)
+            .map((record) => record.apr)
+        : []
+
+      acc[name] = {
+        value:
+          samples.length > 0
+            ? samples.reduce((sum, apr) => sum + apr, 0) / samples.length
+            : null,
+        sourceField: 'computed',
+        daysCovered: samples.length,
+        daysRequired: definition.days,
+      }
+      return acc
+    }, {})
+  }
+
+  return { load, save, upsert, missingDays, windows }
+}
+
+module.exports = {
+  APR_WINDOWS,
+  createEthStoreDayStore,
+}
@@ -0,0 +1,219 @@
+const fs = require('fs')
+const path = require('path')
+const { logger } = require('./logger')
+
+const log = logger.child({ component: 'history' })
+
+const HISTORY_SOURCES = ['prices', 'stakingApr', 'stakedEth', 'clusterPayments']
+
+const HISTORY_METRICS = {
+  ethPrice: {
+    source: 'prices',
+    select: (data) => data?.ETH?.priceUsd,
+  },
+  ssvPrice: {
+    source: 'prices',
+    select: (data) => data?.SSV?.priceUsd,
+  },
+  stakingApr: {
+    source: 'stakingApr',
+    select: (data) => data?.value,
+  },
+  stakedEth: {
+    source: 'stakedEth',
+    select: (data) => data?.value,
+  },
+  ethPaymentShare: {
+    source: 'clusterPayments',
+    select: (data) => data?.ethShare,
+  },
+}
+
+const INTERVAL_UNITS_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+}
+
+const MAX_AUTO_POINTS = 500
+
+// The largest distance from the epoch a JavaScript Date can represent.
+const MAX_TIMESTAMP_MS = 8.64e15
+
+const parseTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  const numeric = Number(value)
+  const parsed = Number.isFinite(numeric) ? numeric : Date.parse(value)
+  return Number.isFinite(parsed) && Math.abs(parsed) <= MAX_TIMESTAMP_MS ? parsed : NaN
+}
+
+const parseInterval = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  if (value === 'raw') return 0
+
+  const match = /^(\d+)([mhdw])$/i.exec(String(value).trim())
+  if (!match) return NaN
+
+  const amount = Number(match[1])
+  return amount > 0 ? amount * INTERVAL_UNITS_MS[match[2].toLowerCase()] : NaN
+}
+
+// Append-only JSONL store: one line per successful fetch, keyed by source.
+function createHistoryStore({ filePath }) {
+  const entries = HISTORY_SOURCES.reduce((acc, source) => {
+    acc[source] = []
+    return acc
+  }, {})
+
+  let writeQueue = Promise.resolve()
+
+  function load() {
+    if (!fs.existsSync(filePath)) {
+      return 0
+    }
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n')
+    let loaded = 0
+    let skipped = 0
+
+    for (const line of lines) {
+      if (!line.trim()) continue
+
+      try {
+        const entry = JSON.parse(line)
+        const bucket = entries[entry?.source]
+        const time = Date.parse(entry?.timestamp)
+
+        if (!bucket || !Number.isFinite(time)) {
+          skipped += 1
+          continue
+        }
+
+        bucket.push({ time, timestamp: entry.timestamp, data: entry.data ?? null })
+        loaded += 1
+      } catch {
+        skipped += 1
+      }
+    }
+
+    for (const source of HISTORY_SOURCES) {
+      entries[source].sort((a, b) => a.time - b.time)
+    }
+
+    if (skipped > 0) {
+      log.warn('Skipped unreadable history entries', { skipped, filePath })
+    }
+
+    return loaded
+  }
+
+  function record(source, timestamp, data) {
+    const bucket = entries[source]
+    if (!bucket) {
+      throw new Error(`Unknown history source: ${source}`)
+    }
+
+    bucket.push({ time: Date.parse(timestamp), timestamp, data })
+
+    const line = `${JSON.stringify({ source, timestamp, data })}\n`
+    writeQueue = writeQueue
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+        await fs.promises.appendFile(filePath, line)
+      })
+      .catch((error) => {
+        log.error('Failed to persist history entry', { source, error })
+      })
+
+    return writeQueue
+  }
+
+  function latest(source) {
+    const bucket = entries[source]
+    return bucket?.length ? bucket[bucket.length - 1] : null
+  }
+
+  function earliest(source) {
+    const bucket = entries[source]
+    return bucket?.length ? bucket[0] : null
+  }
+
+  function query({ metric, from, to, interval }) {
+    const definition = HISTORY_METRICS[metric]
+    const bucket = entries[definition.source]
+    const rangeTo = to ?? Date.now()
+    const rangeFrom = from ?? bucket[0]?.time ?? rangeTo
+
+    const samples = bucket
+      .filter((entry) => entry.time >= rangeFrom && entry.time <= rangeTo)
+      .map((entry) => ({ time: entry.time, value: definition.select(entry.data) }))
+      .filter(
+        (sample) => typeof sample.value === 'number' && Number.isFinite(sample.value)
+      )
+
+    const range = {
+      from: new Date(rangeFrom).toISOString(),
+      to: new Date(rangeTo).toISOString(),
+    }
+
+    if (interval === 0) {
+      return {
+        ...range,
+        intervalMs: 0,
+        points: samples.map((sample) => ({
+          timestamp: new Date(sample.time).toISOString(),
+          value: sample.value,
+          min: sample.value,
+          max: sample.value,
+          samples: 1,
+        })),
+      }
+    }
+
+    const intervalMs =
+      interval ??
+      Math.max(INTERVAL_UNITS_MS.m, Math.ceil((rangeTo - rangeFrom) / MAX_AUTO_POINTS))
+
+    const buckets = new Map()
+    for (const sample of samples) {
+      const bucketStart =
+        rangeFrom + Math.floor((sample.time - rangeFrom) / intervalMs) * intervalMs
+      const existing = buckets.get(bucketStart)
+      if (existing) {
+        existing.sum += sample.value
+        existing.min = Math.min(existing.min, sample.value)
+        existing.max = Math.max(existing.max, sample.value)
+        existing.samples += 1
+      } else {
+        buckets.set(bucketStart, {
+          sum: sample.value,
+          min: sample.value,
+          max: sample.value,
+          samples: 1,
+        })
+      }
+    }
+
+    return {
+      ...range,
+      intervalMs,
+      points: [...buckets.entries()].map(([bucketStart, aggregate]) => ({
+        timestamp: new Date(bucketStart).toISOString(),
+        value: aggregate.sum / aggregate.samples,
+        min: aggregate.min,
+        max: aggregate.max,
+        samples: aggregate.samples,
+      })),
+    }
+  }
+
+  return { load, record, latest, earliest, query }
+}
+
+module.exports = {
+  HISTORY_METRICS,
+  createHistoryStore,
+  parseInterval,
+  parseTimestamp,
+}
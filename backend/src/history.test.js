@@ -0,0 +1,99 @@
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const { after, test } = require('node:test')
+const { createHistoryStore, parseInterval, parseTimestamp } = require('./history')
+const { configureLogging } = require('./logger')
+
+configureLogging({ level: 'silent' })
+
+const HOUR_MS = 60 * 60 * 1000
+const START = Date.parse('2026-01-01T00:00:00Z')
+
+const line = (source, offsetMs, data) =>
+  JSON.stringify({ source, timestamp: new Date(START + offsetMs).toISOString(), data })
+
+const tempDirs = []
+after(() => {
+  for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true })
+})
+
+function writeHistory(lines) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'))
+  tempDirs.push(dir)
+  const filePath = path.join(dir, 'history.jsonl')
+  fs.writeFileSync(filePath, `${lines.join('\n')}\n`)
+  return filePath
+}
+
+test('load skips unreadable lines and sorts each source by time', () => {
+  const filePath = writeHistory([
+    line('stakedEth', 2 * HOUR_MS, { value: 3 }),
+    'not json',
+    line('unknown', 0, { value: 1 }),
+    line('stakedEth', 0, { value: 1 }),
+    JSON.stringify({ source: 'stakedEth', timestamp: 'yesterday', data: { value: 9 } }),
+  ])
+  const history = createHistoryStore({ filePath })
+
+  assert.equal(history.load(), 2)
+  assert.equal(history.earliest('stakedEth').data.value, 1)
+  assert.equal(history.latest('stakedEth').data.value, 3)
+})
+
+test('query averages samples into interval buckets', () => {
+  const filePath = writeHistory([
+    line('stakedEth', 0, { value: 10 }),
+    line('stakedEth', 30 * 60 * 1000, { value: 20 }),
+    line('stakedEth', HOUR_MS + 1, { value: 40 }),
+    line('stakedEth', 90 * 60 * 1000, { value: null }),
+  ])
+  const history = createHistoryStore({ filePath })
+  history.load()
+
+  const result = history.query({
+    metric: 'stakedEth',
+    from: START,
+    to: START + 2 * HOUR_MS,
+    interval: parseInterval('1h'),
+  })
+
+  assert.equal(result.intervalMs, HOUR_MS)
+  assert.deepEqual(result.points, [
+    { timestamp: '2026-01-01T00:00:00.000Z', value: 15, min: 10, max: 20, samples: 2 },
+    { timestamp: '2026-01-01T01:00:00.000Z', value: 40, min: 40, max: 40, samples: 1 },
+  ])
+})
+
+test('query with the raw interval returns every stored sample in range', () => {
+  const filePath = writeHistory([
+    line('stakedEth', 0, { value: 10 }),
+    line('stakedEth', HOUR_MS, { value: 20 }),
+    line('stakedEth', 3 * HOUR_MS, { value: 30 }),
+  ])
+  const history = createHistoryStore({ filePath })
+  history.load()
+
+  const result = history.query({
+    metric: 'stakedEth',
+    from: START,
+    to: START + 2 * HOUR_MS,
+    interval: parseInterval('raw'),
+  })
+
+  assert.deepEqual(
+    result.points.map((point) => point.value),
+    [10, 20]
+  )
+})
+
+test('parseInterval and parseTimestamp reject malformed values', () => {
+  assert.equal(parseInterval('15m'), 15 * 60 * 1000)
+  assert.ok(Number.isNaN(parseInterval('0h')))
+  assert.ok(Number.isNaN(parseInterval('1y')))
+  assert.equal(parseTimestamp('2026-01-01T00:00:00Z'), START)
+  assert.equal(parseTimestamp(String(START)), START)
+  assert.ok(Number.isNaN(parseTimestamp('99999999999999999')))
+  assert.ok(Number.isNaN(parseTimestamp('soon')))
+})
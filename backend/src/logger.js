@@ -0,0 +1,58 @@
+// Structured logger: one JSON object per line with `time`, `level`, `component`, `msg` and any
+// extra fields. Debug and info go to stdout, warn and error to stderr.
+
+const LOG_LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40, silent: 100 })
+
+const DEFAULT_LOG_LEVEL = 'info'
+
+// Shared by every child logger so one configure() call applies everywhere.
+const settings = { threshold: LOG_LEVELS[DEFAULT_LOG_LEVEL] }
+
+// Errors become `{ message, code, status }` so they survive JSON.stringify.
+function serializeField(value) {
+  if (!(value instanceof Error)) return value
+  return {
+    message: value.message,
+    code: value.code ?? null,
+    status: value.response?.status ?? null,
+  }
+}
+
+function write(level, bindings, msg, fields) {
+  if (LOG_LEVELS[level] < settings.threshold) return
+
+  const entry = { time: new Date().toISOString(), level, ...bindings, msg }
+  for (const [key, value] of Object.entries(fields ?? {})) {
+    if (value !== undefined) {
+      entry[key] = serializeField(value)
+    }
+  }
+
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout
+  stream.write(`${JSON.stringify(entry)}\n`)
+}
+
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: (extra) => createLogger({ ...bindings, ...extra }),
+  }
+}
+
+// Returns the level in effect; unknown names fall back to the default.
+function configureLogging({ level } = {}) {
+  const name = Object.hasOwn(LOG_LEVELS, level) ? level : DEFAULT_LOG_LEVEL
+  settings.threshold = LOG_LEVELS[name]
+  return name
+}
+
+const logger = createLogger()
+
+module.exports = {
+  LOG_LEVELS,
+  configureLogging,
+  logger,
+}
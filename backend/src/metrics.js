@@ -0,0 +1,139 @@
+// Minimal Prometheus registry: counters, gauges and histograms with labels, rendered in the
+// text exposition format (version 0.0.4) for GET /metrics.
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+const DEFAULT_DURATION_BUCKETS = Object.freeze([0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30])
+
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf'
+  if (value === -Infinity) return '-Inf'
+  return Number.isNaN(value) ? 'NaN' : String(value)
+}
+
+function formatLabels(labelNames, labels, extra = '') {
+  const pairs = labelNames.map((name) => `${name}="${escapeLabelValue(labels[name] ?? '')}"`)
+  if (extra) pairs.push(extra)
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+}
+
+const seriesKey = (labelNames, labels) =>
+  JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')))
+
+function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = []
+  const collectors = []
+
+  function register(type, name, help, labelNames) {
+    const metric = { type, name: `${prefix}${name}`, help, labelNames, series: new Map() }
+    metrics.push(metric)
+    return metric
+  }
+
+  // Returns the stored series for `labels`, creating it with `initial()` on first use.
+  function seriesFor(metric, labels, initial) {
+    const key = seriesKey(metric.labelNames, labels)
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels: { ...labels }, ...initial() })
+    }
+    return metric.series.get(key)
+  }
+
+  function counter(name, help, labelNames = []) {
+    const metric = register('counter', name, help, labelNames)
+    return {
+      inc(labels = {}, amount = 1) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value += amount
+      },
+    }
+  }
+
+  function gauge(name, help, labelNames = []) {
+    const metric = register('gauge', name, help, labelNames)
+    return {
+      set(labels, value) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = value
+      },
+      // Drops a series, e.g. when its source value is no longer known.
+      remove(labels = {}) {
+        metric.series.delete(seriesKey(metric.labelNames, labels))
+      },
+    }
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_DURATION_BUCKETS) {
+    const metric = register('histogram', name, help, labelNames)
+    metric.buckets = [...buckets].sort((a, b) => a - b)
+    return {
+      observe(labels, value) {
+        const series = seriesFor(metric, labels, () => ({
+          counts: metric.buckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        }))
+        metric.buckets.forEach((bound, index) => {
+          if (value <= bound) series.counts[index] += 1
+        })
+        series.sum += value
+        series.count += 1
+      },
+    }
+  }
+
+  // Collectors run before every render, for gauges that mirror state held elsewhere.
+  function onCollect(collect) {
+    collectors.push(collect)
+  }
+
+  function render() {
+    for (const collect of collectors) {
+      collect()
+    }
+
+    const lines = []
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`)
+      lines.push(`# TYPE ${metric.name} ${metric.type}`)
+
+      for (const series of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(
+            `${metric.name}${formatLabels(metric.labelNames, series.labels)} ${formatValue(series.value)}`
+          )
+          continue
+        }
+
+        // Bucket counts are stored per bucket and already cumulative, since a value is
+        // counted in every bucket whose bound it fits under.
+        metric.buckets.forEach((bound, index) => {
+          const le = `le="${formatValue(bound)}"`
+          lines.push(
+            `${metric.name}_bucket${formatLabels(metric.labelNames, series.labels, le)} ${series.counts[index]}`
+          )
+        })
+        lines.push(
+          `${metric.name}_bucket${formatLabels(metric.labelNames, series.labels, 'le="+Inf"')} ${series.count}`
+        )
+        lines.push(
+          `${metric.name}_sum${formatLabels(metric.labelNames, series.labels)} ${formatValue(series.sum)}`
+        )
+        lines.push(
+          `${metric.name}_count${formatLabels(metric.labelNames, series.labels)} ${series.count}`
+        )
+      }
+    }
+
+    return `${lines.join('\n')}\n`
+  }
+
+  return { counter, gauge, histogram, onCollect, render }
+}
+
+module.exports = {
+  DEFAULT_DURATION_BUCKETS,
+  PROMETHEUS_CONTENT_TYPE,
+  createMetricsRegistry,
+}
@@ -0,0 +1,83 @@
+const fs = require('fs')
+const { logger } = require('./logger')
+
+const log = logger.child({ component: 'networks' })
+
+const NETWORK_KEY_PATTERN = /^[a-z0-9-]+$/
+
+// Used when the registry file is missing or invalid, so the backend still serves mainnet.
+const DEFAULT_NETWORK_REGISTRY = Object.freeze({
+  defaultNetwork: 'mainnet',
+  networks: {
+    mainnet: {
+      label: 'Mainnet',
+      stakedEthApiUrl:
+        'https://api.ssv.network/api/v4/mainnet/validators/totalEffectiveBalance',
+      ssvApiUrl: 'https://api.ssv.network/api/v4/mainnet',
+    },
+  },
+})
+
+function validateNetworkRegistry(registry) {
+  const errors = []
+  const entries = Object.entries(registry?.networks ?? {})
+
+  if (entries.length === 0) {
+    errors.push('`networks` must list at least one network.')
+  }
+  for (const [key, network] of entries) {
+    if (!NETWORK_KEY_PATTERN.test(key)) {
+      errors.push(`Network key "${key}" may only use lowercase letters, digits and dashes.`)
+    }
+    if (typeof network?.stakedEthApiUrl !== 'string' || !/^https?:\/\//.test(network.stakedEthApiUrl)) {
+      errors.push(`networks.${key}.stakedEthApiUrl must be an http(s) URL.`)
+    }
+    if (network?.ssvApiUrl !== undefined && !/^https?:\/\//.test(network.ssvApiUrl)) {
+      errors.push(`networks.${key}.ssvApiUrl must be an http(s) URL when set.`)
+    }
+  }
+  if (!Object.hasOwn(registry?.networks ?? {}, registry?.defaultNetwork)) {
+    errors.push('`defaultNetwork` must be one of the listed networks.')
+  }
+
+  return errors
+}
+
+// Reads the registry once at startup; each network gets its own poller, so changes need a
+// restart. `stakedEthApiUrlOverride` (STAKED_ETH_API_URL) replaces the default network's URL.
+// `ssvApiUrl` is optional; without it the network has no operator breakdown.
+function loadNetworkRegistry({ filePath, stakedEthApiUrlOverride }) {
+  let registry = DEFAULT_NETWORK_REGISTRY
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    const errors = validateNetworkRegistry(parsed)
+    if (errors.length > 0) {
+      throw new Error(errors.join(' '))
+    }
+    registry = parsed
+    log.info('Loaded network registry', {
+      filePath,
+      networks: Object.keys(parsed.networks),
+    })
+  } catch (error) {
+    log.error('Ignoring network registry; serving mainnet only', { filePath, error })
+  }
+
+  return Object.entries(registry.networks).map(([key, network]) => {
+    const isDefault = key === registry.defaultNetwork
+    return {
+      key,
+      label: network.label || key,
+      isDefault,
+      stakedEthApiUrl:
+        isDefault && stakedEthApiUrlOverride ? stakedEthApiUrlOverride : network.stakedEthApiUrl,
+      ssvApiUrl: network.ssvApiUrl ?? null,
+    }
+  })
+}
+
+module.exports = {
+  DEFAULT_NETWORK_REGISTRY,
+  loadNetworkRegistry,
+}
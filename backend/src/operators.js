@@ -0,0 +1,215 @@
+const fs = require('fs')
+const path = require('path')
+const axios = require('axios')
+
+// Per-operator and per-cluster data from the SSV API, and the attribution of yearly network
+// fees to operators. Every validator in a cluster is run by all of the cluster's operators, so
+// a cluster's balance (and the fees it generates) is split evenly between them.
+
+const GWEI_PER_ETH = 1_000_000_000
+const VALIDATOR_BALANCE_ETH = 32
+const SSV_API_PAGE_SIZE = 100
+
+const OPERATOR_SORT_KEYS = ['feesEth', 'validatorCount', 'effectiveBalanceEth', 'clusterCount', 'name', 'id']
+const MAX_OPERATORS_PER_PAGE = 100
+
+const toNumber = (value) => {
+  const numeric = typeof value === 'string' ? Number(value) : value
+  return typeof numeric === 'number' && Number.isFinite(numeric) ? numeric : null
+}
+
+// The SSV API mixes snake_case and camelCase across versions; accept both.
+function normalizeOperator(raw) {
+  const id = toNumber(raw?.id ?? raw?.operatorId ?? raw?.operator_id)
+  if (id === null) return null
+  return {
+    id,
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : `Operator ${id}`,
+  }
+}
+
+// 'ETH' or 'SSV'; null when the API doesn't say how the cluster pays its fees.
+function readPaymentToken(raw) {
+  const token = String(raw?.paymentToken ?? raw?.payment_token ?? '').toUpperCase()
+  return token === 'ETH' || token === 'SSV' ? token : null
+}
+
+// Effective balance arrives in gwei; without one, each validator counts as 32 ETH.
+function normalizeCluster(raw) {
+  const operatorIds = (raw?.operators ?? raw?.operatorIds ?? raw?.operator_ids ?? [])
+    .map((operator) => toNumber(typeof operator === 'object' ? operator?.id : operator))
+    .filter((id) => id !== null)
+  const validatorCount = toNumber(raw?.validatorCount ?? raw?.validator_count) ?? 0
+  const balanceGwei = toNumber(raw?.effectiveBalance ?? raw?.effective_balance)
+
+  if (operatorIds.length === 0) return null
+  return {
+    id: String(raw.clusterId ?? raw.cluster_id ?? raw.id ?? operatorIds.join('-')),
+    owner: raw.owner ?? raw.ownerAddress ?? null,
+    operatorIds,
+    validatorCount,
+    effectiveBalanceEth:
+      balanceGwei !== null ? balanceGwei / GWEI_PER_ETH : validatorCount * VALIDATOR_BALANCE_ETH,
+    paymentToken: readPaymentToken(raw),
+  }
+}
+
+// Splits cluster balances by how the clusters pay their fees. `ethShare` is the share of all
+// balances not paying in SSV, the same rule `attributeFees` applies (clusters with no known
+// payment token count as paying in ETH), or null when there is no balance at all.
+function summarizePaymentSplit(clusters) {
+  const balances = { ETH: 0, SSV: 0, unknown: 0 }
+  for (const cluster of clusters) {
+    balances[cluster.paymentToken ?? 'unknown'] += cluster.effectiveBalanceEth
+  }
+
+  const totalEth = balances.ETH + balances.SSV + balances.unknown
+  return {
+    ethShare: totalEth > 0 ? (balances.ETH + balances.unknown) / totalEth : null,
+    ethBalanceEth: balances.ETH,
+    ssvBalanceEth: balances.SSV,
+    unknownBalanceEth: balances.unknown,
+  }
+}
+
+// Follows the API's page count, but reads at most `maxPages` pages. A list longer than that is
+// returned as far as it was read, with `truncated` set.
+async function fetchAllPages(url, key, { upstream, maxPages }) {
+  const items = []
+
+  for (let page = 1; page <= maxPages; page += 1) {
+    const response = await upstream.execute(() =>
+      axios.get(url, { params: { page, perPage: SSV_API_PAGE_SIZE }, timeout: 15_000 })
+    )
+    const payload = response.data
+    const pageItems = payload?.[key] ?? payload?.data ?? []
+    items.push(...pageItems)
+
+    const pages = toNumber(payload?.pagination?.pages)
+    if (pageItems.length < SSV_API_PAGE_SIZE || (pages !== null && page >= pages)) {
+      return { items, truncated: false }
+    }
+  }
+
+  return { items, truncated: true }
+}
+
+// Loads operators and clusters for one network, from `${ssvApiUrl}/operators` and `/clusters`
+// or, when `fixtureFile` is set, from a local JSON file shaped like
+// `{ "operators": [...], "clusters": [...] }` (re-read on every fetch). `truncated` is true when
+// either list ran past `maxPages`; `name` says which of the two the data comes from.
+function createOperatorsSource({ ssvApiUrl, fixtureFile, upstream, maxPages }) {
+  async function fetchRaw() {
+    if (fixtureFile) {
+      return { ...JSON.parse(await fs.promises.readFile(fixtureFile, 'utf8')), truncated: false }
+    }
+    const base = ssvApiUrl.replace(/\/$/, '')
+    const operators = await fetchAllPages(`${base}/operators`, 'operators', { upstream, maxPages })
+    const clusters = await fetchAllPages(`${base}/clusters`, 'clusters', { upstream, maxPages })
+    return {
+      operators: operators.items,
+      clusters: clusters.items,
+      truncated: operators.truncated || clusters.truncated,
+    }
+  }
+
+  return {
+    name: fixtureFile ? `fixture ${path.basename(fixtureFile)}` : 'ssv.network clusters',
+    async fetch() {
+      const raw = await fetchRaw()
+      return {
+        operators: (raw?.operators ?? []).map(normalizeOperator).filter(Boolean),
+        clusters: (raw?.clusters ?? []).map(normalizeCluster).filter(Boolean),
+        truncated: raw.truncated,
+      }
+    },
+  }
+}
+
+// One row per operator with its share of staked ETH and of the yearly network fees
+// (stakedEth * ethApr * networkFee, the same formula as the calculator). Clusters paying in SSV
+// add balance but no ETH fees; clusters with no known payment token count as paying in ETH.
+function attributeFees({ operators, clusters }, { ethApr, networkFee, ethPrice }) {
+  const feeRate =
+    typeof ethApr === 'number' && typeof networkFee === 'number' ? ethApr * networkFee : null
+  const rows = new Map(
+    operators.map((operator) => [
+      operator.id,
+      {
+        ...operator,
+        clusterCount: 0,
+        validatorCount: 0,
+        effectiveBalanceEth: 0,
+        ethPayingBalanceEth: 0,
+      },
+    ])
+  )
+
+  for (const cluster of clusters) {
+    const share = 1 / cluster.operatorIds.length
+    for (const id of cluster.operatorIds) {
+      if (!rows.has(id)) {
+        rows.set(id, {
+          id,
+          name: `Operator ${id}`,
+          clusterCount: 0,
+          validatorCount: 0,
+          effectiveBalanceEth: 0,
+          ethPayingBalanceEth: 0,
+        })
+      }
+      const row = rows.get(id)
+      row.clusterCount += 1
+      // Every operator in the cluster runs all of its validators.
+      row.validatorCount += cluster.validatorCount
+      row.effectiveBalanceEth += cluster.effectiveBalanceEth * share
+      if (cluster.paymentToken !== 'SSV') {
+        row.ethPayingBalanceEth += cluster.effectiveBalanceEth * share
+      }
+    }
+  }
+
+  const totalEthPayingEth = [...rows.values()].reduce(
+    (sum, row) => sum + row.ethPayingBalanceEth,
+    0
+  )
+
+  return [...rows.values()].map((row) => {
+    const feesEth = feeRate !== null ? row.ethPayingBalanceEth * feeRate : null
+    return {
+      ...row,
+      feesEth,
+      feesUsd: feesEth !== null && typeof ethPrice === 'number' ? feesEth * ethPrice : null,
+      shareOfFees: totalEthPayingEth > 0 ? row.ethPayingBalanceEth / totalEthPayingEth : null,
+    }
+  })
+}
+
+function compareRows(key) {
+  if (key === 'name') {
+    return (a, b) => a.name.localeCompare(b.name)
+  }
+  return (a, b) => (a[key] ?? -Infinity) - (b[key] ?? -Infinity) || a.id - b.id
+}
+
+function sortAndPage(rows, { sort, order, page, perPage }) {
+  const sorted = [...rows].sort(compareRows(sort))
+  if (order === 'desc') sorted.reverse()
+
+  const totalPages = Math.max(Math.ceil(sorted.length / perPage), 1)
+  return {
+    totalPages,
+    rows: sorted.slice((page - 1) * perPage, page * perPage),
+  }
+}
+
+module.exports = {
+  MAX_OPERATORS_PER_PAGE,
+  OPERATOR_SORT_KEYS,
+  attributeFees,
+  createOperatorsSource,
+  normalizeCluster,
+  normalizeOperator,
+  sortAndPage,
+  summarizePaymentSplit,
+}
@@ -0,0 +1,108 @@
+const assert = require('node:assert/strict')
+const { after, before, test } = require('node:test')
+const express = require('express')
+const { attributeFees, createOperatorsSource, summarizePaymentSplit } = require('./operators')
+
+const PAGE_SIZE = 100
+const passThrough = { execute: (request) => request() }
+
+let server
+let baseUrl
+
+// 250 operators over three pages, each in its own single-operator cluster.
+const OPERATOR_COUNT = 250
+
+const pageOf = (page, build) =>
+  Array.from({ length: PAGE_SIZE }, (_, index) => (page - 1) * PAGE_SIZE + index + 1)
+    .filter((id) => id <= OPERATOR_COUNT)
+    .map(build)
+
+before(async () => {
+  const app = express()
+  const pagination = { pages: Math.ceil(OPERATOR_COUNT / PAGE_SIZE) }
+  app.get('/operators', (req, res) =>
+    res.json({
+      operators: pageOf(Number(req.query.page), (id) => ({ id, name: `Op ${id}` })),
+      pagination,
+    })
+  )
+  app.get('/clusters', (req, res) =>
+    res.json({
+      clusters: pageOf(Number(req.query.page), (id) => ({
+        clusterId: `c${id}`,
+        operators: [id],
+        validatorCount: 1,
+      })),
+      pagination,
+    })
+  )
+
+  server = app.listen(0, '127.0.0.1')
+  await new Promise((resolve) => server.once('listening', resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => server.close())
+
+test('the operators source reads every page the API reports', async () => {
+  const source = createOperatorsSource({ ssvApiUrl: baseUrl, upstream: passThrough, maxPages: 5 })
+  const { operators, clusters, truncated } = await source.fetch()
+
+  assert.equal(operators.length, OPERATOR_COUNT)
+  assert.equal(clusters.length, OPERATOR_COUNT)
+  assert.equal(truncated, false)
+})
+
+test('the operators source names where its data comes from', () => {
+  const api = createOperatorsSource({ ssvApiUrl: baseUrl, upstream: passThrough, maxPages: 5 })
+  const fixture = createOperatorsSource({
+    ssvApiUrl: baseUrl,
+    fixtureFile: 'config/operators.fixture.example.json',
+    upstream: passThrough,
+    maxPages: 5,
+  })
+
+  assert.equal(api.name, 'ssv.network clusters')
+  assert.equal(fixture.name, 'fixture operators.fixture.example.json')
+})
+
+test('lists longer than maxPages are returned partially and flagged', async () => {
+  const source = createOperatorsSource({ ssvApiUrl: baseUrl, upstream: passThrough, maxPages: 2 })
+  const { operators, clusters, truncated } = await source.fetch()
+
+  assert.equal(operators.length, 2 * PAGE_SIZE)
+  assert.equal(clusters.length, 2 * PAGE_SIZE)
+  assert.equal(truncated, true)
+})
+
+// 32 ETH paying in ETH on operator 1, 32 in SSV on operator 2 and 64 with no known token on both.
+const MIXED_CLUSTERS = [
+  { id: 'eth', operatorIds: [1], validatorCount: 1, effectiveBalanceEth: 32, paymentToken: 'ETH' },
+  { id: 'ssv', operatorIds: [2], validatorCount: 1, effectiveBalanceEth: 32, paymentToken: 'SSV' },
+  { id: 'unknown', operatorIds: [1, 2], validatorCount: 2, effectiveBalanceEth: 64, paymentToken: null },
+]
+
+test('the payment split and fee attribution both count unknown tokens as paying in ETH', () => {
+  const split = summarizePaymentSplit(MIXED_CLUSTERS)
+  assert.equal(split.ethShare, 0.75)
+  assert.equal(split.unknownBalanceEth, 64)
+
+  const rows = attributeFees(
+    { operators: [], clusters: MIXED_CLUSTERS },
+    { ethApr: 0.03, networkFee: 0.01, ethPrice: null }
+  )
+  const ethPaying = rows.reduce((sum, row) => sum + row.ethPayingBalanceEth, 0)
+  const total = rows.reduce((sum, row) => sum + row.effectiveBalanceEth, 0)
+  assert.equal(ethPaying / total, split.ethShare)
+  assert.deepEqual(
+    rows.map((row) => [row.id, row.ethPayingBalanceEth]),
+    [
+      [1, 64],
+      [2, 32],
+    ]
+  )
+})
+
+test('the payment split has no share without any clusters', () => {
+  assert.equal(summarizePaymentSplit([]).ethShare, null)
+})
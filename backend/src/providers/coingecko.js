@@ -0,0 +1,65 @@
+const axios = require('axios')
+const { toPriceEntry } = require('./price-entry')
+
+const DEFAULT_API_URL = 'https://api.coingecko.com/api/v3/coins/markets'
+const DEFAULT_COIN_IDS = {
+  ETH: 'ethereum',
+  SSV: 'ssv-network',
+}
+
+// Parses `ETH:ethereum,SSV:ssv-network` into a symbol -> coin id map.
+const parseCoinIds = (raw) => {
+  if (!raw) return { ...DEFAULT_COIN_IDS }
+
+  return raw.split(',').reduce((acc, pair) => {
+    const [symbol, id] = pair.split(':').map((part) => part?.trim())
+    if (symbol && id) {
+      acc[symbol.toUpperCase()] = id
+    }
+    return acc
+  }, {})
+}
+
+function createCoinGeckoProvider({ apiUrl = DEFAULT_API_URL, apiKey, coinIds }) {
+  const ids = parseCoinIds(coinIds)
+
+  return {
+    name: 'coingecko',
+    unavailableReason() {
+      return null
+    },
+    async fetchPrices(symbols) {
+      const missing = symbols.filter((symbol) => !ids[symbol])
+      if (missing.length > 0) {
+        throw new Error(`No CoinGecko id configured for: ${missing.join(', ')}`)
+      }
+
+      const response = await axios.get(apiUrl, {
+        params: {
+          vs_currency: 'usd',
+          ids: symbols.map((symbol) => ids[symbol]).join(','),
+        },
+        headers: apiKey ? { 'x-cg-demo-api-key': apiKey } : undefined,
+        timeout: 10_000,
+      })
+
+      const markets = Array.isArray(response.data) ? response.data : []
+
+      return symbols.reduce((acc, symbol) => {
+        const asset = markets.find((market) => market?.id === ids[symbol])
+
+        acc[symbol] = toPriceEntry(symbol, {
+          priceUsd: asset?.current_price,
+          totalSupply: asset?.total_supply,
+          circulatingSupply: asset?.circulating_supply,
+          maxSupply: asset?.max_supply,
+          sourceLastUpdated: asset?.last_updated,
+        })
+
+        return acc
+      }, {})
+    },
+  }
+}
+
+module.exports = { createCoinGeckoProvider }
@@ -0,0 +1,50 @@
+const axios = require('axios')
+const { toPriceEntry } = require('./price-entry')
+
+const DEFAULT_API_URL =
+  'https://pro-api.coinmarketcap.com/v1/cryptocurrency/quotes/latest'
+
+function createCoinMarketCapProvider({ apiUrl = DEFAULT_API_URL, apiKey }) {
+  return {
+    name: 'coinmarketcap',
+    unavailableReason() {
+      return apiKey
+        ? null
+        : {
+            code: 'MISSING_API_KEY',
+            message: 'CoinMarketCap API key is not configured.',
+          }
+    },
+    async fetchPrices(symbols) {
+      const response = await axios.get(apiUrl, {
+        params: {
+          symbol: symbols.join(','),
+          convert: 'USD',
+        },
+        headers: {
+          'X-CMC_PRO_API_KEY': apiKey,
+        },
+        timeout: 10_000,
+      })
+
+      const payload = response.data?.data || {}
+
+      return symbols.reduce((acc, symbol) => {
+        const asset = payload[symbol]
+        const usdQuote = asset?.quote?.USD
+
+        acc[symbol] = toPriceEntry(symbol, {
+          priceUsd: usdQuote?.price,
+          totalSupply: asset?.total_supply,
+          circulatingSupply: asset?.circulating_supply,
+          maxSupply: asset?.max_supply,
+          sourceLastUpdated: usdQuote?.last_updated,
+        })
+
+        return acc
+      }, {})
+    },
+  }
+}
+
+module.exports = { createCoinMarketCapProvider }
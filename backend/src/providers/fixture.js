@@ -0,0 +1,29 @@
+const fs = require('fs')
+const { toPriceEntry } = require('./price-entry')
+
+// Serves prices from a local JSON file shaped like `{ "ETH": { "priceUsd": 3000, ... } }`.
+// Meant for staging and offline development; the file is re-read on every fetch.
+function createFixtureProvider({ filePath }) {
+  return {
+    name: 'fixture',
+    unavailableReason() {
+      return fs.existsSync(filePath)
+        ? null
+        : {
+            code: 'MISSING_FIXTURE',
+            message: `Price fixture file not found: ${filePath}`,
+          }
+    },
+    async fetchPrices(symbols) {
+      const payload = JSON.parse(await fs.promises.readFile(filePath, 'utf8'))
+
+      return symbols.reduce((acc, symbol) => {
+        acc[symbol] = toPriceEntry(symbol, payload?.[symbol] ?? {})
+
+        return acc
+      }, {})
+    },
+  }
+}
+
+module.exports = { createFixtureProvider }
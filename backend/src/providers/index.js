@@ -0,0 +1,90 @@
+const { createCoinMarketCapProvider } = require('./coinmarketcap')
+const { createCoinGeckoProvider } = require('./coingecko')
+const { createFixtureProvider } = require('./fixture')
+
+const PRICE_PROVIDER_FACTORIES = {
+  coinmarketcap: (options) => createCoinMarketCapProvider(options.coinmarketcap),
+  coingecko: (options) => createCoinGeckoProvider(options.coingecko),
+  fixture: (options) => createFixtureProvider(options.fixture),
+}
+
+const DEFAULT_PRICE_PROVIDERS = ['coinmarketcap', 'coingecko', 'fixture']
+
+function createPriceProviders(names, options) {
+  return names.map((name) => {
+    const factory = PRICE_PROVIDER_FACTORIES[name]
+    if (!factory) {
+      throw new Error(
+        `Unknown price provider "${name}". Expected one of: ${Object.keys(
+          PRICE_PROVIDER_FACTORIES
+        ).join(', ')}.`
+      )
+    }
+    return factory(options)
+  })
+}
+
+const describeError = (error) => {
+  const message = error.response?.data || error.message
+  return typeof message === 'string' ? message : JSON.stringify(message)
+}
+
+// Tries each provider in order and returns the first result that prices every symbol, tagged
+// with the provider that served it.
+// Throws with every attempt attached when the whole chain comes up empty.
+function createPriceProviderChain(providers) {
+  async function fetchPrices(symbols) {
+    const attempts = []
+
+    for (const provider of providers) {
+      const unavailable = provider.unavailableReason()
+      if (unavailable) {
+        attempts.push({ provider: provider.name, ...unavailable })
+        continue
+      }
+
+      try {
+        const prices = await provider.fetchPrices(symbols)
+        const missing = symbols.filter(
+          (symbol) => typeof prices[symbol]?.priceUsd !== 'number'
+        )
+        if (missing.length > 0) {
+          throw new Error(`Provider returned no usable price for ${missing.join(', ')}.`)
+        }
+
+        for (const symbol of symbols) {
+          prices[symbol].provider = provider.name
+        }
+
+        return { provider: provider.name, prices, attempts }
+      } catch (error) {
+        attempts.push({
+          provider: provider.name,
+          code: 'FETCH_FAILED',
+          message: describeError(error),
+        })
+      }
+    }
+
+    const allUnavailable = attempts.every((attempt) => attempt.code !== 'FETCH_FAILED')
+    const error = new Error(
+      attempts
+        .map((attempt) => `${attempt.provider}: ${attempt.message}`)
+        .join(' | ') || 'No price providers configured.'
+    )
+    error.code = allUnavailable ? 'NO_PROVIDER_AVAILABLE' : 'FETCH_FAILED'
+    error.attempts = attempts
+    throw error
+  }
+
+  return {
+    fetchPrices,
+    names: providers.map((provider) => provider.name),
+  }
+}
+
+module.exports = {
+  DEFAULT_PRICE_PROVIDERS,
+  createPriceProviderChain,
+  createPriceProviders,
+}
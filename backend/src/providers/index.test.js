@@ -0,0 +1,38 @@
+const assert = require('node:assert/strict')
+const { test } = require('node:test')
+const { createPriceProviderChain } = require('./index')
+
+const stubProvider = (name, prices) => ({
+  name,
+  unavailableReason: () => null,
+  fetchPrices: async () => structuredClone(prices),
+})
+
+test('falls back to the next provider when a provider misses a symbol', async () => {
+  const chain = createPriceProviderChain([
+    stubProvider('partial', { ETH: { priceUsd: 3000 }, SSV: { priceUsd: null } }),
+    stubProvider('complete', { ETH: { priceUsd: 3100 }, SSV: { priceUsd: 40 } }),
+  ])
+
+  const { provider, prices, attempts } = await chain.fetchPrices(['ETH', 'SSV'])
+
+  assert.equal(provider, 'complete')
+  assert.equal(prices.ETH.priceUsd, 3100)
+  assert.equal(prices.SSV.priceUsd, 40)
+  assert.equal(prices.SSV.provider, 'complete')
+  assert.deepEqual(attempts, [
+    {
+      provider: 'partial',
+      code: 'FETCH_FAILED',
+      message: 'Provider returned no usable price for SSV.',
+    },
+  ])
+})
+
+test('fails with FETCH_FAILED when no provider prices every symbol', async () => {
+  const chain = createPriceProviderChain([
+    stubProvider('partial', { ETH: { priceUsd: 3000 } }),
+  ])
+
+  await assert.rejects(chain.fetchPrices(['ETH', 'SSV']), { code: 'FETCH_FAILED' })
+})
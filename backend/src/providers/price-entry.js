@@ -0,0 +1,14 @@
+const numberOrNull = (value) =>
+  typeof value === 'number' && Number.isFinite(value) ? value : null
+
+// Normalized shape every provider returns per symbol, so consumers never care where a price came from.
+const toPriceEntry = (symbol, fields) => ({
+  symbol,
+  priceUsd: numberOrNull(fields.priceUsd),
+  totalSupply: numberOrNull(fields.totalSupply),
+  circulatingSupply: numberOrNull(fields.circulatingSupply),
+  maxSupply: numberOrNull(fields.maxSupply),
+  sourceLastUpdated: fields.sourceLastUpdated || null,
+})
+
+module.exports = { toPriceEntry }
@@ -0,0 +1,102 @@
+const { HISTORY_METRICS } = require('./history')
+
+// Sanity rules per metric. Values outside [min, max] are always rejected. A jump larger than
+// `maxJumpPercent` since the last accepted value is held back until the next poll confirms it.
+const DEFAULT_QUALITY_RULES = Object.freeze({
+  ethPrice: { min: 0, exclusiveMin: true, max: null, maxJumpPercent: 20 },
+  ssvPrice: { min: 0, exclusiveMin: true, max: null, maxJumpPercent: 40 },
+  stakingApr: { min: 0, exclusiveMin: false, max: 0.2, maxJumpPercent: 50 },
+  stakedEth: { min: 0, exclusiveMin: true, max: null, maxJumpPercent: 20 },
+})
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+const percentChange = (from, to) => (Math.abs(to - from) / Math.abs(from)) * 100
+
+function boundsViolation(value, rule) {
+  if (!isFiniteNumber(value)) return 'value is missing or not a number'
+  if (rule.exclusiveMin ? value <= rule.min : value < rule.min) {
+    return `value ${value} is ${rule.exclusiveMin ? 'not above' : 'below'} ${rule.min}`
+  }
+  if (isFiniteNumber(rule.max) && value > rule.max) {
+    return `value ${value} is above ${rule.max}`
+  }
+  return null
+}
+
+// Tracks when each metric was last accepted and whether the latest reading was rejected, and
+// reports a fresh / stale / suspect status per metric.
+function createQualityMonitor({ rules = DEFAULT_QUALITY_RULES, staleAfterMs }) {
+  // Only metrics with rules are screened; other history metrics (e.g. ethPaymentShare) aren't.
+  const states = Object.keys(rules).reduce((acc, metric) => {
+    acc[metric] = { updatedAt: null, pending: null, suspect: null }
+    return acc
+  }, {})
+
+  // Returns null when `candidate` may replace `accepted`, or the reason it was rejected.
+  function screen(metric, candidate, accepted) {
+    const rule = rules[metric]
+    const state = states[metric]
+
+    const violation = boundsViolation(candidate, rule)
+    if (violation) {
+      state.pending = null
+      state.suspect = { reason: violation, value: candidate ?? null, since: new Date().toISOString() }
+      return violation
+    }
+
+    if (isFiniteNumber(accepted) && accepted !== 0 && isFiniteNumber(rule.maxJumpPercent)) {
+      const jump = percentChange(accepted, candidate)
+      const confirmed =
+        state.pending !== null && percentChange(state.pending, candidate) <= rule.maxJumpPercent
+
+      if (jump > rule.maxJumpPercent && !confirmed) {
+        const reason = `jumped ${jump.toFixed(1)}% since the last accepted value (limit ${rule.maxJumpPercent}%)`
+        state.pending = candidate
+        state.suspect = {
+          reason,
+          value: candidate,
+          since: state.suspect?.since ?? new Date().toISOString(),
+        }
+        return reason
+      }
+    }
+
+    state.pending = null
+    state.suspect = null
+    return null
+  }
+
+  function markUpdated(metric, timestamp) {
+    states[metric].updatedAt = timestamp
+  }
+
+  function report(now = Date.now()) {
+    return Object.entries(states).reduce((acc, [metric, state]) => {
+      const threshold = staleAfterMs[HISTORY_METRICS[metric].source]
+      const updatedAtMs = state.updatedAt ? Date.parse(state.updatedAt) : null
+      const ageMs = updatedAtMs !== null ? Math.max(now - updatedAtMs, 0) : null
+
+      acc[metric] = {
+        status: state.suspect
+          ? 'suspect'
+          : ageMs === null || ageMs > threshold
+          ? 'stale'
+          : 'fresh',
+        updatedAt: state.updatedAt,
+        ageMs,
+        staleAfterMs: threshold,
+        reason: state.suspect?.reason ?? null,
+        rejectedValue: state.suspect?.value ?? null,
+      }
+      return acc
+    }, {})
+  }
+
+  return { screen, markUpdated, report }
+}
+
+module.exports = {
+  DEFAULT_QUALITY_RULES,
+  createQualityMonitor,
+}
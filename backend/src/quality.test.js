@@ -0,0 +1,59 @@
+const assert = require('node:assert/strict')
+const { test } = require('node:test')
+const { createQualityMonitor } = require('./quality')
+
+const MINUTE_MS = 60 * 1000
+const STALE_AFTER_MS = { prices: 10 * MINUTE_MS, stakingApr: 60 * MINUTE_MS, stakedEth: 60 * MINUTE_MS }
+
+const createMonitor = () => createQualityMonitor({ staleAfterMs: STALE_AFTER_MS })
+
+test('a price jump is held back until the next reading confirms it', () => {
+  const quality = createMonitor()
+
+  assert.equal(quality.screen('ethPrice', 3000, null), null)
+  assert.match(quality.screen('ethPrice', 4000, 3000), /jumped 33\.3%/)
+  assert.equal(quality.report().ethPrice.status, 'suspect')
+  assert.equal(quality.report().ethPrice.rejectedValue, 4000)
+
+  assert.equal(quality.screen('ethPrice', 4100, 3000), null)
+  assert.equal(quality.report().ethPrice.status, 'stale')
+  assert.equal(quality.report().ethPrice.reason, null)
+})
+
+test('a jump that does not repeat is never accepted', () => {
+  const quality = createMonitor()
+
+  assert.ok(quality.screen('ethPrice', 4000, 3000))
+  assert.ok(quality.screen('ethPrice', 2000, 3000))
+  assert.ok(quality.screen('ethPrice', 4000, 3000))
+})
+
+test('moves within the jump limit pass straight through', () => {
+  const quality = createMonitor()
+
+  assert.equal(quality.screen('ethPrice', 3500, 3000), null)
+  assert.equal(quality.screen('stakingApr', 0.03, 0.025), null)
+})
+
+test('out-of-bounds values are always rejected', () => {
+  const quality = createMonitor()
+
+  assert.match(quality.screen('ethPrice', 0, 3000), /not above 0/)
+  assert.match(quality.screen('stakingApr', 0.5, 0.03), /above 0.2/)
+  assert.match(quality.screen('stakedEth', null, 100), /missing/)
+})
+
+test('report marks metrics fresh or stale by their source threshold', () => {
+  const quality = createMonitor()
+  const now = Date.parse('2026-01-01T12:00:00Z')
+
+  quality.markUpdated('ethPrice', new Date(now - 5 * MINUTE_MS).toISOString())
+  quality.markUpdated('ssvPrice', new Date(now - 15 * MINUTE_MS).toISOString())
+
+  const report = quality.report(now)
+  assert.equal(report.ethPrice.status, 'fresh')
+  assert.equal(report.ethPrice.ageMs, 5 * MINUTE_MS)
+  assert.equal(report.ssvPrice.status, 'stale')
+  assert.equal(report.stakedEth.status, 'stale')
+  assert.equal(report.stakedEth.updatedAt, null)
+})
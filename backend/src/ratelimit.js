@@ -0,0 +1,93 @@
+const crypto = require('crypto')
+
+// Fixed-window rate limiting. Anonymous callers are counted per IP; callers presenting a known
+// X-API-Key are counted per key with a higher limit. Headers follow the IETF RateLimit fields
+// draft (RateLimit-Limit / -Remaining / -Reset, plus RateLimit-Policy).
+
+const DEFAULT_RATE_LIMIT = Object.freeze({
+  windowMs: 60 * 1000,
+  anonymousLimit: 60,
+  apiKeyLimit: 600,
+})
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex')
+
+// Parses `name:key,name:key`. Keys are stored hashed, so lookups don't compare secrets directly.
+function parseApiKeys(raw) {
+  const keys = new Map()
+  for (const entry of raw?.split(',') ?? []) {
+    const separator = entry.indexOf(':')
+    const name = entry.slice(0, separator).trim()
+    const key = entry.slice(separator + 1).trim()
+    if (separator > 0 && name && key) {
+      keys.set(hashKey(key), name)
+    }
+  }
+  return keys
+}
+
+function createRateLimiter({ windowMs, anonymousLimit, apiKeyLimit, apiKeys = new Map() }) {
+  const windows = new Map()
+  const windowSeconds = Math.ceil(windowMs / 1000)
+
+  setInterval(() => {
+    const now = Date.now()
+    for (const [id, window] of windows) {
+      if (window.resetAt <= now) windows.delete(id)
+    }
+  }, windowMs).unref()
+
+  function identify(req) {
+    const presented = req.get('X-API-Key')
+    if (presented === undefined) {
+      return { id: `ip:${req.ip}`, limit: anonymousLimit }
+    }
+    const name = apiKeys.get(hashKey(presented))
+    return name ? { id: `key:${name}`, limit: apiKeyLimit, name } : null
+  }
+
+  function middleware(req, res, next) {
+    const client = identify(req)
+    if (!client) {
+      return res.status(401).json({
+        message: 'Unknown API key.',
+        code: 'INVALID_API_KEY',
+      })
+    }
+
+    const now = Date.now()
+    let window = windows.get(client.id)
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs }
+      windows.set(client.id, window)
+    }
+    window.count += 1
+
+    const resetSeconds = Math.max(Math.ceil((window.resetAt - now) / 1000), 0)
+    res.set({
+      'RateLimit-Policy': `${client.limit};w=${windowSeconds}`,
+      'RateLimit-Limit': String(client.limit),
+      'RateLimit-Remaining': String(Math.max(client.limit - window.count, 0)),
+      'RateLimit-Reset': String(resetSeconds),
+    })
+
+    if (window.count > client.limit) {
+      res.set('Retry-After', String(resetSeconds))
+      return res.status(429).json({
+        message: `Rate limit of ${client.limit} requests per ${windowSeconds}s exceeded. Retry in ${resetSeconds}s.`,
+        code: 'RATE_LIMITED',
+      })
+    }
+
+    req.apiClient = client.name ?? null
+    next()
+  }
+
+  return { middleware }
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMIT,
+  createRateLimiter,
+  parseApiKeys,
+}
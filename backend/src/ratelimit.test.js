@@ -0,0 +1,73 @@
+const assert = require('node:assert/strict')
+const { after, before, test } = require('node:test')
+const express = require('express')
+const { createRateLimiter, parseApiKeys } = require('./ratelimit')
+
+let server
+let baseUrl
+
+// Mounted the way server.js mounts it: on /api and /share only, so /health stays unlimited.
+before(async () => {
+  const rateLimiter = createRateLimiter({
+    windowMs: 60 * 1000,
+    anonymousLimit: 2,
+    apiKeyLimit: 3,
+    apiKeys: parseApiKeys('partner:secret'),
+  })
+  const app = express()
+  app.use('/api', rateLimiter.middleware)
+  app.get('/api/prices', (req, res) => res.json({ client: req.apiClient }))
+  app.get('/health', (req, res) => res.json({ status: 'ok' }))
+
+  server = app.listen(0, '127.0.0.1')
+  await new Promise((resolve) => server.once('listening', resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => server.close())
+
+test('anonymous callers get RateLimit headers and a 429 once over the limit', async () => {
+  const first = await fetch(`${baseUrl}/api/prices`)
+  assert.equal(first.status, 200)
+  assert.equal(first.headers.get('ratelimit-policy'), '2;w=60')
+  assert.equal(first.headers.get('ratelimit-limit'), '2')
+  assert.equal(first.headers.get('ratelimit-remaining'), '1')
+  assert.ok(Number(first.headers.get('ratelimit-reset')) <= 60)
+
+  await fetch(`${baseUrl}/api/prices`)
+  const limited = await fetch(`${baseUrl}/api/prices`)
+  assert.equal(limited.status, 429)
+  assert.equal(limited.headers.get('ratelimit-remaining'), '0')
+  assert.ok(Number(limited.headers.get('retry-after')) > 0)
+
+  const body = await limited.json()
+  assert.equal(body.code, 'RATE_LIMITED')
+  assert.match(body.message, /Rate limit of 2 requests per 60s exceeded/)
+})
+
+test('/health is not limited', async () => {
+  for (let index = 0; index < 5; index += 1) {
+    const response = await fetch(`${baseUrl}/health`)
+    assert.equal(response.status, 200)
+    assert.equal(response.headers.get('ratelimit-limit'), null)
+  }
+})
+
+test('a known API key gets its own, higher limit', async () => {
+  const headers = { 'X-API-Key': 'secret' }
+  const response = await fetch(`${baseUrl}/api/prices`, { headers })
+
+  assert.equal(response.status, 200)
+  assert.equal(response.headers.get('ratelimit-limit'), '3')
+  assert.deepEqual(await response.json(), { client: 'partner' })
+})
+
+test('an unknown API key is rejected', async () => {
+  const response = await fetch(`${baseUrl}/api/prices`, { headers: { 'X-API-Key': 'nope' } })
+
+  assert.equal(response.status, 401)
+  assert.deepEqual(await response.json(), {
+    message: 'Unknown API key.',
+    code: 'INVALID_API_KEY',
+  })
+})
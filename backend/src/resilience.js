@@ -0,0 +1,220 @@
+// Retry and circuit-breaker wrapper for upstream calls. Each upstream (CoinMarketCap,
+// CoinGecko, ETH.Store, ssv.network) gets its own instance so one flaky source never slows
+// down or blocks the others.
+
+const { logger } = require('./logger')
+
+const log = logger.child({ component: 'upstream' })
+
+const DEFAULT_UPSTREAM_OPTIONS = Object.freeze({
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 10_000,
+  failureThreshold: 5,
+  cooldownMs: 5 * 60 * 1000,
+})
+
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNABORTED',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'ETIMEDOUT',
+  'ERR_NETWORK',
+])
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Retry-After is either delay-seconds or an HTTP date.
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null
+
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds * 1000, 0)
+  }
+
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(date - now, 0)
+}
+
+// Timeouts, connection errors, 429s and 5xx are worth another try; other 4xx are not.
+function isRetryable(error) {
+  const status = error.response?.status
+  if (status === undefined) {
+    return RETRYABLE_NETWORK_CODES.has(error.code)
+  }
+  return status === 429 || status >= 500
+}
+
+function createUpstream(name, options = {}) {
+  const { retries, baseDelayMs, maxDelayMs, failureThreshold, cooldownMs } = {
+    ...DEFAULT_UPSTREAM_OPTIONS,
+    ...options,
+  }
+
+  const breaker = {
+    state: 'closed',
+    consecutiveFailures: 0,
+    openedAt: null,
+    openUntil: null,
+    lastFailure: null,
+    trialInFlight: false,
+  }
+
+  const open = (until) => {
+    if (breaker.state !== 'open') {
+      log.warn('Circuit opened', { upstream: name, openUntil: new Date(until).toISOString() })
+      breaker.openedAt = new Date().toISOString()
+    }
+    breaker.state = 'open'
+    breaker.openUntil = Math.max(breaker.openUntil ?? 0, until)
+  }
+
+  // Closed lets calls through, open rejects them until the cooldown ends, and half-open
+  // lets a single trial call decide whether to close again.
+  function currentState(now = Date.now()) {
+    if (breaker.state === 'open' && now >= breaker.openUntil) {
+      breaker.state = 'half-open'
+    }
+    return breaker.state
+  }
+
+  function unavailableReason() {
+    const state = currentState()
+    if (state === 'open' || (state === 'half-open' && breaker.trialInFlight)) {
+      return {
+        code: 'CIRCUIT_OPEN',
+        message: `${name} circuit is open until ${new Date(breaker.openUntil).toISOString()}.`,
+      }
+    }
+    return null
+  }
+
+  function recordSuccess() {
+    if (breaker.state !== 'closed') {
+      log.info('Circuit closed', { upstream: name })
+    }
+    breaker.state = 'closed'
+    breaker.consecutiveFailures = 0
+    breaker.openedAt = null
+    breaker.openUntil = null
+  }
+
+  function recordFailure(error) {
+    const now = Date.now()
+    breaker.consecutiveFailures += 1
+    breaker.lastFailure = {
+      message: error.message,
+      status: error.response?.status ?? null,
+      timestamp: new Date(now).toISOString(),
+    }
+
+    // A failed trial call or an explicit Retry-After reopens immediately; otherwise wait for
+    // the threshold.
+    const tripped =
+      breaker.state === 'half-open' || breaker.consecutiveFailures >= failureThreshold
+    if (error.retryAfterMs) {
+      open(now + Math.max(error.retryAfterMs, tripped ? cooldownMs : 0))
+    } else if (tripped) {
+      open(now + cooldownMs)
+    }
+  }
+
+  // Runs `request` with jittered exponential backoff ("full jitter"), honouring Retry-After.
+  // A Retry-After longer than `maxDelayMs` ends the retries and holds the circuit open instead.
+  async function execute(request) {
+    const unavailable = unavailableReason()
+    if (unavailable) {
+      const error = new Error(unavailable.message)
+      error.code = unavailable.code
+      throw error
+    }
+
+    const isTrial = currentState() === 'half-open'
+    breaker.trialInFlight = isTrial
+
+    try {
+      for (let attempt = 0; ; attempt += 1) {
+        try {
+          const result = await request()
+          recordSuccess()
+          return result
+        } catch (error) {
+          const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after'])
+          if (retryAfterMs !== null) {
+            error.retryAfterMs = retryAfterMs
+          }
+
+          const canRetry =
+            !isTrial &&
+            attempt < retries &&
+            isRetryable(error) &&
+            (retryAfterMs === null || retryAfterMs <= maxDelayMs)
+
+          if (!canRetry) {
+            recordFailure(error)
+            throw error
+          }
+
+          const delayMs =
+            retryAfterMs ??
+            Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt))
+          log.warn('Upstream attempt failed; retrying', {
+            upstream: name,
+            attempt: attempt + 1,
+            status: error.response?.status,
+            errorCode: error.code,
+            error,
+            delayMs,
+          })
+          await sleep(delayMs)
+        }
+      }
+    } finally {
+      if (isTrial) {
+        breaker.trialInFlight = false
+      }
+    }
+  }
+
+  function status() {
+    const state = currentState()
+    return {
+      state,
+      consecutiveFailures: breaker.consecutiveFailures,
+      failureThreshold,
+      openedAt: state === 'closed' ? null : breaker.openedAt,
+      openUntil:
+        state === 'closed' || breaker.openUntil === null
+          ? null
+          : new Date(breaker.openUntil).toISOString(),
+      lastFailure: breaker.lastFailure,
+    }
+  }
+
+  return { name, execute, unavailableReason, status }
+}
+
+// Routes a price provider's requests through an upstream and reports an open circuit as
+// unavailable, so the provider chain skips straight to the next provider.
+function guardPriceProvider(provider, upstream) {
+  return {
+    ...provider,
+    unavailableReason() {
+      return provider.unavailableReason() ?? upstream.unavailableReason()
+    },
+    fetchPrices(symbols) {
+      return upstream.execute(() => provider.fetchPrices(symbols))
+    },
+  }
+}
+
+module.exports = {
+  DEFAULT_UPSTREAM_OPTIONS,
+  createUpstream,
+  guardPriceProvider,
+  isRetryable,
+  parseRetryAfter,
+}
@@ -0,0 +1,98 @@
+const assert = require('node:assert/strict')
+const { test } = require('node:test')
+const { configureLogging } = require('./logger')
+const { createUpstream, parseRetryAfter } = require('./resilience')
+
+configureLogging({ level: 'silent' })
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const httpError = (status, headers = {}) => {
+  const error = new Error(`Request failed with status ${status}`)
+  error.response = { status, headers }
+  return error
+}
+
+test('the circuit opens at the threshold, half-opens after the cooldown and closes on success', async () => {
+  const upstream = createUpstream('test', { retries: 0, failureThreshold: 2, cooldownMs: 30 })
+  const failing = () => Promise.reject(httpError(503))
+
+  await assert.rejects(upstream.execute(failing))
+  assert.equal(upstream.status().state, 'closed')
+  await assert.rejects(upstream.execute(failing))
+  assert.equal(upstream.status().state, 'open')
+
+  let calls = 0
+  await assert.rejects(
+    upstream.execute(() => {
+      calls += 1
+      return Promise.resolve('ok')
+    }),
+    { code: 'CIRCUIT_OPEN' }
+  )
+  assert.equal(calls, 0)
+
+  await sleep(40)
+  assert.equal(upstream.status().state, 'half-open')
+  assert.equal(await upstream.execute(() => Promise.resolve('ok')), 'ok')
+  assert.equal(upstream.status().state, 'closed')
+  assert.equal(upstream.status().consecutiveFailures, 0)
+})
+
+test('a failed half-open trial reopens the circuit without retrying', async () => {
+  const upstream = createUpstream('test', { retries: 2, failureThreshold: 1, cooldownMs: 30 })
+  await assert.rejects(upstream.execute(() => Promise.reject(httpError(503))))
+  await sleep(40)
+
+  let calls = 0
+  await assert.rejects(
+    upstream.execute(() => {
+      calls += 1
+      return Promise.reject(httpError(503))
+    })
+  )
+  assert.equal(calls, 1)
+  assert.equal(upstream.status().state, 'open')
+})
+
+test('a short Retry-After is waited out and retried', async () => {
+  const upstream = createUpstream('test', { retries: 1, maxDelayMs: 1000 })
+  let calls = 0
+  const started = Date.now()
+
+  const result = await upstream.execute(() => {
+    calls += 1
+    return calls === 1 ? Promise.reject(httpError(429, { 'retry-after': '0.05' })) : 'ok'
+  })
+
+  assert.equal(result, 'ok')
+  assert.equal(calls, 2)
+  assert.ok(Date.now() - started >= 45)
+})
+
+test('a Retry-After beyond maxDelayMs stops retrying and holds the circuit open', async () => {
+  const upstream = createUpstream('test', { retries: 2, maxDelayMs: 1000, failureThreshold: 5 })
+  let calls = 0
+
+  await assert.rejects(
+    upstream.execute(() => {
+      calls += 1
+      return Promise.reject(httpError(429, { 'retry-after': '120' }))
+    })
+  )
+
+  assert.equal(calls, 1)
+  const status = upstream.status()
+  assert.equal(status.state, 'open')
+  assert.ok(Date.parse(status.openUntil) - Date.now() > 110_000)
+})
+
+test('parseRetryAfter reads delay-seconds and HTTP dates', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z')
+
+  assert.equal(parseRetryAfter('5', now), 5000)
+  assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now), 30_000)
+  assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT', now), 0)
+  assert.equal(parseRetryAfter('soon', now), null)
+  assert.equal(parseRetryAfter(undefined, now), null)
+})
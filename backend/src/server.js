@@ -1,36 +1,347 @@
+const crypto = require('crypto')
+const path = require('path')
 const express = require('express')
 const cors = require('cors')
 const axios = require('axios')
 const dotenv = require('dotenv')
+const {
+  HISTORY_METRICS,
+  createHistoryStore,
+  parseInterval,
+  parseTimestamp,
+} = require('./history')
+const { createConfigStore } = require('./config')
+const { loadCalculator, resolveCalculatorInputs } = require('./calculator')
+const { APR_WINDOWS, createEthStoreDayStore } = require('./ethstore')
+const {
+  computeShareFigures,
+  createShareCardCache,
+  decodeScenarioId,
+  renderShareCardPng,
+  renderShareCardSvg,
+  renderSharePage,
+} = require('./share')
+const {
+  DEFAULT_PRICE_PROVIDERS,
+  createPriceProviderChain,
+  createPriceProviders,
+} = require('./providers')
+const { DEFAULT_QUALITY_RULES, createQualityMonitor } = require('./quality')
+const {
+  DEFAULT_UPSTREAM_OPTIONS,
+  createUpstream,
+  guardPriceProvider,
+} = require('./resilience')
+const { createEventStream } = require('./stream')
+const { PROMETHEUS_CONTENT_TYPE, createMetricsRegistry } = require('./metrics')
+const { configureLogging, logger } = require('./logger')
+const { DEFAULT_RATE_LIMIT, createRateLimiter, parseApiKeys } = require('./ratelimit')
+const { loadNetworkRegistry } = require('./networks')
+const {
+  MAX_OPERATORS_PER_PAGE,
+  OPERATOR_SORT_KEYS,
+  attributeFees,
+  createOperatorsSource,
+  sortAndPage,
+  summarizePaymentSplit,
+} = require('./operators')
+const {
+  DAY_MS,
+  DEFAULT_PROJECTION_DAYS,
+  MAX_PROJECTION_DAYS,
+  accrueTreasury,
+  startOfUtcDay,
+} = require('./treasury')
 
-dotenv.config()
+// quiet: dotenv's banner would be the only non-JSON line in the log.
+dotenv.config({ quiet: true })
+
+const logLevel = configureLogging({ level: process.env.LOG_LEVEL?.trim().toLowerCase() })
+const log = {
+  server: logger.child({ component: 'server' }),
+  poller: logger.child({ component: 'poller' }),
+  quality: logger.child({ component: 'quality' }),
+  history: logger.child({ component: 'history' }),
+  prices: logger.child({ component: 'price-poller' }),
+  ethstore: logger.child({ component: 'ethstore' }),
+  ssv: logger.child({ component: 'ssv' }),
+  share: logger.child({ component: 'share' }),
+}
 
 const DEFAULT_REFRESH_INTERVAL_MS = 5 * 60 * 1000
+const DEFAULT_OPERATORS_REFRESH_INTERVAL_MS = 60 * 60 * 1000
 const DEFAULT_SYMBOLS = ['ETH', 'SSV']
 const API_URL =
   process.env.CMC_API_URL ||
   'https://pro-api.coinmarketcap.com/v1/cryptocurrency/quotes/latest'
+const COINGECKO_API_URL =
+  process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3/coins/markets'
+const PRICE_FIXTURE_FILE = path.resolve(
+  process.env.PRICE_FIXTURE_FILE ||
+    path.join(__dirname, '..', 'config', 'prices.fixture.json')
+)
 const ETHSTORE_API_URL = (
   process.env.ETHSTORE_API_URL || 'https://beaconcha.in/api/v1/ethstore'
 ).replace(/\/$/, '')
 const ETHSTORE_DAY = process.env.ETHSTORE_DAY || 'latest'
-const STAKED_ETH_API_URL =
-  process.env.STAKED_ETH_API_URL ||
-  'https://api.ssv.network/api/v4/mainnet/validators/totalEffectiveBalance'
+const ETHSTORE_DEFAULT_WINDOW = Object.hasOwn(APR_WINDOWS, process.env.ETHSTORE_DEFAULT_WINDOW)
+  ? process.env.ETHSTORE_DEFAULT_WINDOW
+  : '31d'
+const ETHSTORE_DAYS_FILE = path.resolve(
+  process.env.ETHSTORE_DAYS_FILE || path.join(__dirname, '..', 'data', 'ethstore-days.json')
+)
+// Overrides the default network's URL from the network registry.
+const STAKED_ETH_API_URL = process.env.STAKED_ETH_API_URL?.trim() || null
+const NETWORKS_CONFIG_FILE = path.resolve(
+  process.env.NETWORKS_CONFIG_FILE || path.join(__dirname, '..', 'config', 'networks.json')
+)
+// Serves the default network's operators and clusters from a local file instead of the SSV API.
+const OPERATORS_FIXTURE_FILE = process.env.OPERATORS_FIXTURE_FILE
+  ? path.resolve(process.env.OPERATORS_FIXTURE_FILE)
+  : null
+const CALCULATOR_CONFIG_FILE = path.resolve(
+  process.env.CALCULATOR_CONFIG_FILE ||
+    path.join(__dirname, '..', 'config', 'calculator.json')
+)
+const WEBAPP_URL = (process.env.WEBAPP_URL || 'https://ethaccrualtoken.com').replace(/\/$/, '')
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL?.replace(/\/$/, '') || null
+const SHARE_FONT_FILES =
+  process.env.SHARE_FONT_FILES?.split(',')
+    .map((file) => file.trim())
+    .filter(Boolean) || []
+const HISTORY_FILE = path.resolve(
+  process.env.HISTORY_FILE || path.join(__dirname, '..', 'data', 'history.jsonl')
+)
+// When the treasury tracker starts counting fees; unset or invalid means the first recorded
+// staked-ETH or APR sample.
+const TREASURY_START_DATE = parseTimestamp(process.env.TREASURY_START_DATE?.trim())
+
+// Origins allowed to call the API from a browser; `*` allows any. Defaults to the webapp and
+// the Vite dev server.
+const CORS_ALLOWED_ORIGINS = (
+  process.env.CORS_ALLOWED_ORIGINS?.split(',')
+    .map((origin) => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean) || [WEBAPP_URL, 'http://localhost:5173']
+)
 
 const app = express()
 
-app.use(cors())
+// Needed behind a proxy or CDN so req.ip (and the per-IP rate limit) sees the real client.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY.trim()
+  app.set(
+    'trust proxy',
+    /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' ? true : trustProxy
+  )
+}
+
+app.use(
+  cors({
+    origin: CORS_ALLOWED_ORIGINS.includes('*') ? '*' : CORS_ALLOWED_ORIGINS,
+    exposedHeaders: [
+      'X-Request-Id',
+      'ETag',
+      'RateLimit-Policy',
+      'RateLimit-Limit',
+      'RateLimit-Remaining',
+      'RateLimit-Reset',
+      'Retry-After',
+    ],
+  })
+)
+
+// Milliseconds since a process.hrtime.bigint() reading, to 0.1ms.
+const elapsedMs = (startedAt) =>
+  Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/
+
+// Reuses a well-formed X-Request-Id from the caller (e.g. a proxy) or mints one, echoes it
+// back, and logs each request once it completes.
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id')
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID()
+  res.set('X-Request-Id', req.id)
+
+  const startedAt = process.hrtime.bigint()
+  res.on('finish', () => {
+    log.server.info('Request completed', {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      route: req.route ? `${req.baseUrl ?? ''}${req.route.path}` : null,
+      status: res.statusCode,
+      durationMs: elapsedMs(startedAt),
+      apiClient: req.apiClient ?? undefined,
+    })
+  })
+  next()
+})
+
+const metrics = createMetricsRegistry({ prefix: 'ethaccrual_' })
+
+const httpRequests = metrics.counter(
+  'http_requests_total',
+  'HTTP requests served, by route pattern and status code.',
+  ['method', 'route', 'status']
+)
 
+// Counted on finish so the matched route pattern (not the raw path) is the label.
 app.use((req, res, next) => {
-  console.info('[server] Incoming request', req.method, req.path)
+  res.on('finish', () => {
+    httpRequests.inc({
+      method: req.method,
+      route: req.route ? `${req.baseUrl ?? ''}${req.route.path}` : 'unmatched',
+      status: res.statusCode,
+    })
+  })
   next()
 })
 
-const refreshIntervalMs = (() => {
-  const value = Number(process.env.PRICE_REFRESH_INTERVAL_MS)
-  return Number.isFinite(value) && value > 0 ? value : DEFAULT_REFRESH_INTERVAL_MS
-})()
+const readPositiveNumber = (raw, fallback) => {
+  const value = Number(raw)
+  return raw !== undefined && raw !== '' && Number.isFinite(value) && value > 0
+    ? value
+    : fallback
+}
+
+const readNonNegativeInteger = (raw, fallback) => {
+  const value = Number(raw)
+  return raw !== undefined && raw !== '' && Number.isInteger(value) && value >= 0
+    ? value
+    : fallback
+}
+
+const refreshIntervalMs = readPositiveNumber(
+  process.env.PRICE_REFRESH_INTERVAL_MS,
+  DEFAULT_REFRESH_INTERVAL_MS
+)
+
+// Each source polls on its own timer; PRICE_REFRESH_INTERVAL_MS is the default for all three.
+const sourceRefreshIntervalsMs = {
+  prices: readPositiveNumber(process.env.PRICES_REFRESH_INTERVAL_MS, refreshIntervalMs),
+  stakingApr: readPositiveNumber(
+    process.env.STAKING_APR_REFRESH_INTERVAL_MS,
+    refreshIntervalMs
+  ),
+  stakedEth: readPositiveNumber(
+    process.env.STAKED_ETH_REFRESH_INTERVAL_MS,
+    refreshIntervalMs
+  ),
+  // Paging through every operator and cluster is heavy, so this one defaults to an hour.
+  operators: readPositiveNumber(
+    process.env.OPERATORS_REFRESH_INTERVAL_MS,
+    DEFAULT_OPERATORS_REFRESH_INTERVAL_MS
+  ),
+}
+
+// A source counts as stale after missing this long; by default three of its refresh intervals.
+const staleAfterMs = {
+  prices: readPositiveNumber(
+    process.env.PRICES_STALE_AFTER_MS,
+    sourceRefreshIntervalsMs.prices * 3
+  ),
+  stakingApr: readPositiveNumber(
+    process.env.STAKING_APR_STALE_AFTER_MS,
+    sourceRefreshIntervalsMs.stakingApr * 3
+  ),
+  stakedEth: readPositiveNumber(
+    process.env.STAKED_ETH_STALE_AFTER_MS,
+    sourceRefreshIntervalsMs.stakedEth * 3
+  ),
+}
+
+const qualityRules = {
+  ethPrice: {
+    ...DEFAULT_QUALITY_RULES.ethPrice,
+    maxJumpPercent: readPositiveNumber(
+      process.env.MAX_ETH_PRICE_JUMP_PERCENT,
+      DEFAULT_QUALITY_RULES.ethPrice.maxJumpPercent
+    ),
+  },
+  ssvPrice: {
+    ...DEFAULT_QUALITY_RULES.ssvPrice,
+    maxJumpPercent: readPositiveNumber(
+      process.env.MAX_SSV_PRICE_JUMP_PERCENT,
+      DEFAULT_QUALITY_RULES.ssvPrice.maxJumpPercent
+    ),
+  },
+  stakingApr: {
+    ...DEFAULT_QUALITY_RULES.stakingApr,
+    max: readPositiveNumber(process.env.MAX_STAKING_APR, DEFAULT_QUALITY_RULES.stakingApr.max),
+    maxJumpPercent: readPositiveNumber(
+      process.env.MAX_STAKING_APR_JUMP_PERCENT,
+      DEFAULT_QUALITY_RULES.stakingApr.maxJumpPercent
+    ),
+  },
+  stakedEth: {
+    ...DEFAULT_QUALITY_RULES.stakedEth,
+    maxJumpPercent: readPositiveNumber(
+      process.env.MAX_STAKED_ETH_JUMP_PERCENT,
+      DEFAULT_QUALITY_RULES.stakedEth.maxJumpPercent
+    ),
+  },
+}
+
+const upstreamOptions = {
+  retries: readNonNegativeInteger(
+    process.env.UPSTREAM_RETRIES,
+    DEFAULT_UPSTREAM_OPTIONS.retries
+  ),
+  baseDelayMs: readPositiveNumber(
+    process.env.UPSTREAM_RETRY_BASE_DELAY_MS,
+    DEFAULT_UPSTREAM_OPTIONS.baseDelayMs
+  ),
+  maxDelayMs: readPositiveNumber(
+    process.env.UPSTREAM_RETRY_MAX_DELAY_MS,
+    DEFAULT_UPSTREAM_OPTIONS.maxDelayMs
+  ),
+  failureThreshold: readPositiveNumber(
+    process.env.UPSTREAM_BREAKER_THRESHOLD,
+    DEFAULT_UPSTREAM_OPTIONS.failureThreshold
+  ),
+  cooldownMs: readPositiveNumber(
+    process.env.UPSTREAM_BREAKER_COOLDOWN_MS,
+    DEFAULT_UPSTREAM_OPTIONS.cooldownMs
+  ),
+}
+
+const networkRegistry = loadNetworkRegistry({
+  filePath: NETWORKS_CONFIG_FILE,
+  stakedEthApiUrlOverride: STAKED_ETH_API_URL,
+})
+
+// ssv.network gets one upstream per network (`ssv:mainnet`, `ssv:hoodi`, ...).
+const upstreams = {
+  coinmarketcap: createUpstream('coinmarketcap', upstreamOptions),
+  coingecko: createUpstream('coingecko', upstreamOptions),
+  ethstore: createUpstream('ethstore', upstreamOptions),
+  ...Object.fromEntries(
+    networkRegistry.map(({ key }) => [`ssv:${key}`, createUpstream(`ssv:${key}`, upstreamOptions)])
+  ),
+}
+
+const apiKeys = parseApiKeys(process.env.API_KEYS)
+
+const rateLimiter = createRateLimiter({
+  windowMs: readPositiveNumber(process.env.RATE_LIMIT_WINDOW_MS, DEFAULT_RATE_LIMIT.windowMs),
+  anonymousLimit: readPositiveNumber(
+    process.env.RATE_LIMIT_MAX,
+    DEFAULT_RATE_LIMIT.anonymousLimit
+  ),
+  apiKeyLimit: readPositiveNumber(
+    process.env.RATE_LIMIT_API_KEY_MAX,
+    DEFAULT_RATE_LIMIT.apiKeyLimit
+  ),
+  apiKeys,
+})
+
+// /health and /metrics stay unlimited for monitoring.
+app.use('/api', rateLimiter.middleware)
+app.use('/share', rateLimiter.middleware)
+// Parsed after logging, metrics and rate limiting, so rejected bodies are still logged and
+// counted, and limited clients never get their bodies parsed.
+app.use(express.json({ limit: '16kb' }))
 
 const symbols =
   process.env.CMC_SYMBOLS?.split(',').map((symbol) => symbol.trim().toUpperCase()) ||
@@ -38,10 +349,38 @@ const symbols =
 
 const cmcApiKey = process.env.CMC_API_KEY
 
+const priceProviderNames =
+  process.env.PRICE_PROVIDERS?.split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean) || DEFAULT_PRICE_PROVIDERS
+
+// The fixture provider reads a local file, so only the HTTP providers get an upstream guard.
+const priceProviders = createPriceProviderChain(
+  createPriceProviders(priceProviderNames, {
+    coinmarketcap: { apiUrl: API_URL, apiKey: cmcApiKey },
+    coingecko: {
+      apiUrl: COINGECKO_API_URL,
+      apiKey: process.env.COINGECKO_API_KEY,
+      coinIds: process.env.COINGECKO_IDS,
+    },
+    fixture: { filePath: PRICE_FIXTURE_FILE },
+  }).map((provider) =>
+    upstreams[provider.name] ? guardPriceProvider(provider, upstreams[provider.name]) : provider
+  )
+)
+
 const ethStoreApiKey = process.env.ETHSTORE_API_KEY
 
+const ethStoreBackfillBatch = (() => {
+  const value = Number(process.env.ETHSTORE_BACKFILL_BATCH)
+  return Number.isInteger(value) && value >= 0 ? value : 30
+})()
+
+const ethStoreDays = createEthStoreDayStore({ filePath: ETHSTORE_DAYS_FILE })
+
 const dataState = {
   prices: null,
+  pricesProvider: null,
   stakingApr: null,
   stakedEth: null,
   lastUpdated: null,
@@ -55,96 +394,270 @@ const dataState = {
   },
 }
 
-async function fetchLatestPrices() {
-  if (!cmcApiKey) {
-    if (!dataState.lastFetchError.prices || dataState.lastFetchError.prices.code !== 'MISSING_API_KEY') {
-      dataState.lastFetchError.prices = {
-        code: 'MISSING_API_KEY',
-        message: 'CoinMarketCap API key is not configured.',
-        timestamp: new Date().toISOString(),
+const history = createHistoryStore({ filePath: HISTORY_FILE })
+
+const calculatorConfig = createConfigStore({ filePath: CALCULATOR_CONFIG_FILE })
+
+const quality = createQualityMonitor({ rules: qualityRules, staleAfterMs })
+
+// Prices and the staking APR are market-wide; only staked ETH is polled per network. The
+// default network keeps its staked ETH in dataState, with history and the shared quality
+// monitor. Other networks hold just their staked ETH and are not written to history.
+const networks = networkRegistry.map((network) => ({
+  ...network,
+  state: network.isDefault
+    ? dataState
+    : { stakedEth: null, stakedEthUpdatedAt: null, lastFetchError: { stakedEth: null } },
+  quality: network.isDefault
+    ? quality
+    : createQualityMonitor({ rules: qualityRules, staleAfterMs }),
+  upstream: upstreams[`ssv:${network.key}`],
+  operatorsState: {
+    operators: null,
+    clusters: null,
+    paymentSplit: null,
+    truncated: false,
+    updatedAt: null,
+    lastFetchError: { operators: null },
+  },
+  operatorsSource:
+    network.ssvApiUrl || (network.isDefault && OPERATORS_FIXTURE_FILE)
+      ? createOperatorsSource({
+          ssvApiUrl: network.ssvApiUrl,
+          fixtureFile: network.isDefault ? OPERATORS_FIXTURE_FILE : null,
+          upstream: upstreams[`ssv:${network.key}`],
+          maxPages: readPositiveNumber(process.env.OPERATORS_MAX_PAGES, 50),
+        })
+      : null,
+}))
+const defaultNetwork = networks.find((network) => network.isDefault)
+const networksByKey = new Map(networks.map((network) => [network.key, network]))
+
+// Resolves `?network=`; a missing value means the default network, an unknown one is null.
+const resolveNetwork = (value) =>
+  value === undefined || value === '' ? defaultNetwork : networksByKey.get(value) ?? null
+
+const unknownNetworkBody = () => ({
+  message: `Unknown network. Expected one of: ${networks.map(({ key }) => key).join(', ')}.`,
+  code: 'UNKNOWN_NETWORK',
+})
+
+// `network` is `all` for the market-wide sources (prices, stakingApr).
+const sourceFetches = metrics.counter(
+  'source_fetches_total',
+  'Poll runs per data source, by result (success, failure, missing_key or rejected).',
+  ['source', 'network', 'result']
+)
+const sourceFetchDuration = metrics.histogram(
+  'source_fetch_duration_seconds',
+  'Time per poll run, including upstream retries.',
+  ['source', 'network']
+)
+const sourceLastSuccess = metrics.gauge(
+  'source_last_success_timestamp_seconds',
+  'Unix time a source last produced an accepted value.',
+  ['source', 'network']
+)
+const liveValueGauges = [
+  [metrics.gauge('eth_price_usd', 'Current ETH price in USD.'), () => dataState.prices?.ETH?.priceUsd],
+  [metrics.gauge('ssv_price_usd', 'Current SSV price in USD.'), () => dataState.prices?.SSV?.priceUsd],
+  [
+    metrics.gauge('eth_staking_apr', 'Current ETH staking APR as a decimal.'),
+    () => dataState.stakingApr?.value,
+  ],
+]
+const stakedEthGauge = metrics.gauge(
+  'staked_eth',
+  'Current ETH staked through ssv.network.',
+  ['network']
+)
+const upstreamCircuitOpen = metrics.gauge(
+  'upstream_circuit_open',
+  '1 while an upstream circuit breaker is open or half-open, else 0.',
+  ['upstream']
+)
+
+metrics.onCollect(() => {
+  for (const [gauge, read] of liveValueGauges) {
+    const value = read()
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      gauge.set({}, value)
+    } else {
+      gauge.remove()
+    }
+  }
+
+  for (const network of networks) {
+    const value = network.state.stakedEth?.value
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      stakedEthGauge.set({ network: network.key }, value)
+    } else {
+      stakedEthGauge.remove({ network: network.key })
+    }
+  }
+
+  for (const [source, network, updatedAt] of [
+    ['prices', 'all', dataState.pricesUpdatedAt],
+    ['stakingApr', 'all', dataState.stakingAprUpdatedAt],
+    ...networks.map(({ key, state }) => ['stakedEth', key, state.stakedEthUpdatedAt]),
+    ...networks.map(({ key, operatorsState }) => ['operators', key, operatorsState.updatedAt]),
+  ]) {
+    if (updatedAt) {
+      sourceLastSuccess.set({ source, network }, Date.parse(updatedAt) / 1000)
+    }
+  }
+
+  for (const [name, upstream] of Object.entries(upstreams)) {
+    upstreamCircuitOpen.set({ upstream: name }, upstream.status().state === 'closed' ? 0 : 1)
+  }
+})
+
+const marketStream = createEventStream({
+  heartbeatMs: readPositiveNumber(process.env.STREAM_HEARTBEAT_INTERVAL_MS, undefined),
+})
+
+const PRICE_QUALITY_METRICS = [
+  ['ethPrice', 'ETH'],
+  ['ssvPrice', 'SSV'],
+]
+
+// `network` is only passed for per-network sources; market-wide ones record into dataState.
+const recordSuspectValue = (source, metric, reason, network = null) => {
+  const state = network?.state ?? dataState
+  const previousMessage = state.lastFetchError[source]?.message
+  const message = `Rejected ${metric}: ${reason}`
+
+  state.lastFetchError[source] = {
+    code: 'SUSPECT_VALUE',
+    message,
+    timestamp: new Date().toISOString(),
+  }
+
+  if (previousMessage !== message) {
+    log.quality.warn('Rejected suspect value', { source, network: network?.key, metric, reason })
+  }
+}
+
+function restoreFromHistory() {
+  const loaded = history.load()
+  const restored = [
+    ['prices', 'pricesUpdatedAt'],
+    ['stakingApr', 'stakingAprUpdatedAt'],
+    ['stakedEth', 'stakedEthUpdatedAt'],
+  ].reduce((latestTimestamp, [source, updatedAtKey]) => {
+    const entry = history.latest(source)
+    if (!entry) return latestTimestamp
+
+    dataState[source] = entry.data
+    dataState[updatedAtKey] = entry.timestamp
+    for (const [metric, definition] of Object.entries(HISTORY_METRICS)) {
+      if (definition.source === source) {
+        quality.markUpdated(metric, entry.timestamp)
       }
-      console.warn('[price-poller] Missing CMC_API_KEY; skipping fetch.')
     }
-    return false
+    if (source === 'prices') {
+      dataState.pricesProvider =
+        Object.values(entry.data ?? {}).find((price) => price?.provider)?.provider ??
+        null
+    }
+
+    return !latestTimestamp || entry.timestamp > latestTimestamp
+      ? entry.timestamp
+      : latestTimestamp
+  }, null)
+
+  dataState.lastUpdated = restored
+
+  // Without this the ETH-paying share falls back to 100% until the first operators poll. The
+  // operator and cluster lists themselves aren't recorded, so /api/operators still waits for it.
+  const clusterPayments = history.latest('clusterPayments')
+  if (clusterPayments) {
+    defaultNetwork.operatorsState.paymentSplit = clusterPayments.data
+    defaultNetwork.operatorsState.updatedAt = clusterPayments.timestamp
   }
 
+  log.history.info('Loaded history', {
+    entries: loaded,
+    filePath: HISTORY_FILE,
+    lastUpdated: restored,
+  })
+}
+
+async function fetchLatestPrices() {
   try {
-    console.info(
-      '[price-poller] Fetching prices from CoinMarketCap for symbols:',
-      symbols.join(', ')
-    )
+    log.prices.debug('Fetching prices', { providers: priceProviders.names, symbols })
 
-    const response = await axios.get(API_URL, {
-      params: {
-        symbol: symbols.join(','),
-        convert: 'USD',
-      },
-      headers: {
-        'X-CMC_PRO_API_KEY': cmcApiKey,
-      },
-      timeout: 10_000,
-    })
+    const { provider, prices, attempts } = await priceProviders.fetchPrices(symbols)
+
+    const failedAttempts = attempts.filter((attempt) => attempt.code === 'FETCH_FAILED')
+    if (failedAttempts.length > 0) {
+      log.prices.warn('Fell back to another price provider', {
+        provider,
+        failedAttempts: failedAttempts.map(({ provider: name, message }) => ({ provider: name, message })),
+      })
+    }
+
+    const timestamp = new Date().toISOString()
 
-    const payload = response.data?.data || {}
-
-    const prices = symbols.reduce((acc, symbol) => {
-      const asset = payload[symbol]
-      const usdQuote = asset?.quote?.USD
-
-      acc[symbol] = {
-        symbol,
-        priceUsd: typeof usdQuote?.price === 'number' ? usdQuote.price : null,
-        totalSupply:
-          typeof asset?.total_supply === 'number' ? asset.total_supply : null,
-        circulatingSupply:
-          typeof asset?.circulating_supply === 'number'
-            ? asset.circulating_supply
-            : null,
-        maxSupply:
-          typeof asset?.max_supply === 'number' ? asset.max_supply : null,
-        sourceLastUpdated: usdQuote?.last_updated || null,
+    // A rejected price keeps the previously accepted entry for that symbol.
+    const rejected = []
+    for (const [metric, symbol] of PRICE_QUALITY_METRICS) {
+      const reason = quality.screen(
+        metric,
+        prices[symbol]?.priceUsd,
+        dataState.prices?.[symbol]?.priceUsd
+      )
+      if (!reason) {
+        quality.markUpdated(metric, timestamp)
+        continue
       }
 
-      return acc
-    }, {})
+      rejected.push(metric)
+      recordSuspectValue('prices', metric, reason)
+      if (dataState.prices?.[symbol]) {
+        prices[symbol] = dataState.prices[symbol]
+      } else {
+        delete prices[symbol]
+      }
+    }
 
-    const timestamp = new Date().toISOString()
+    if (rejected.length === PRICE_QUALITY_METRICS.length) {
+      return false
+    }
 
     dataState.prices = prices
-    dataState.lastFetchError.prices = null
+    dataState.pricesProvider = provider
+    if (rejected.length === 0) {
+      dataState.lastFetchError.prices = null
+    }
     dataState.pricesUpdatedAt = timestamp
+    history.record('prices', timestamp, prices)
 
-    const priceSummary = symbols
-      .map((symbol) => {
-        const priceUsd = prices[symbol]?.priceUsd
-        if (typeof priceUsd === 'number' && Number.isFinite(priceUsd)) {
-          return `${symbol}: $${priceUsd.toFixed(2)}`
-        }
-        return `${symbol}: n/a`
-    })
-      .join(', ')
-
-    console.info(
-      '[price-poller] Updated prices at',
+    log.prices.debug('Updated prices', {
       timestamp,
-      '-',
-      priceSummary
-    )
+      provider,
+      pricesUsd: Object.fromEntries(
+        symbols.map((symbol) => [symbol, prices[symbol]?.priceUsd ?? null])
+      ),
+    })
 
     return true
   } catch (error) {
-    const message = error.response?.data || error.message
+    const previousCode = dataState.lastFetchError.prices?.code
 
     dataState.lastFetchError.prices = {
-      code: 'FETCH_FAILED',
-      message: typeof message === 'string' ? message : JSON.stringify(message),
+      code: error.code || 'FETCH_FAILED',
+      message: error.message,
+      attempts: error.attempts ?? [],
       timestamp: new Date().toISOString(),
     }
 
-    console.error(
-      '[price-poller] Failed to fetch prices:',
-      dataState.lastFetchError.prices.message
-    )
+    if (error.code !== 'NO_PROVIDER_AVAILABLE' || previousCode !== error.code) {
+      log.prices.error('Failed to fetch prices', {
+        errorCode: dataState.lastFetchError.prices.code,
+        error: dataState.lastFetchError.prices.message,
+      })
+    }
 
     return false
   }
@@ -161,23 +674,21 @@ async function fetchEthStakingApr() {
         message: 'ETH.Store API key is not configured.',
         timestamp: new Date().toISOString(),
       }
-      console.warn('[ethstore] Missing ETHSTORE_API_KEY; skipping fetch.')
+      log.ethstore.warn('Missing ETHSTORE_API_KEY; skipping fetch', { errorCode: 'MISSING_API_KEY' })
     }
     return false
   }
 
   try {
-    console.info('[ethstore] Fetching ETH staking APR (day=%s)...', ETHSTORE_DAY)
+    log.ethstore.debug('Fetching ETH staking APR', { day: ETHSTORE_DAY })
 
-    const response = await axios.get(`${ETHSTORE_API_URL}/${ETHSTORE_DAY}`, {
-      headers: {
-        accept: 'application/json',
-        'api-key': ethStoreApiKey,
-      },
-      timeout: 10_000,
-    })
+    const payload = await fetchEthStoreDay(ETHSTORE_DAY)
+
+    if (ethStoreDays.upsert(payload)) {
+      await backfillEthStoreDays(Number(payload.day))
+    }
 
-    const payload = response.data?.data
+    const windows = ethStoreDays.windows(payload)
 
     let aprValue = null
     let sourceField = null
@@ -195,52 +706,111 @@ async function fetchEthStakingApr() {
       sourceField = 'apr_today'
     }
 
+    const defaultWindow = windows[ETHSTORE_DEFAULT_WINDOW]
+    if (typeof defaultWindow?.value === 'number') {
+      aprValue = defaultWindow.value
+      sourceField = defaultWindow.sourceField
+    }
+
+    const rejection = quality.screen('stakingApr', aprValue, dataState.stakingApr?.value)
+    if (rejection) {
+      recordSuspectValue('stakingApr', 'stakingApr', rejection)
+      return false
+    }
+
     const timestamp = new Date().toISOString()
+    quality.markUpdated('stakingApr', timestamp)
 
     dataState.stakingApr = {
       value: aprValue,
       sourceField,
+      defaultWindow: ETHSTORE_DEFAULT_WINDOW,
+      windows,
       raw: payload ?? null,
     }
     dataState.lastFetchError.stakingApr = null
     dataState.stakingAprUpdatedAt = timestamp
+    history.record('stakingApr', timestamp, dataState.stakingApr)
 
-    const aprDisplay =
-      typeof aprValue === 'number' && Number.isFinite(aprValue)
-        ? `${(aprValue * 100).toFixed(2)}%`
-        : 'n/a'
-
-    console.info(
-      '[ethstore] Updated staking APR at',
-      timestamp,
-      '-',
-      aprDisplay,
-      `(field: ${sourceField ?? 'unknown'})`
-    )
+    log.ethstore.debug('Updated staking APR', { timestamp, apr: aprValue, sourceField })
 
     return true
   } catch (error) {
     const message = error.response?.data || error.message
 
+    const previousCode = dataState.lastFetchError.stakingApr?.code
+
     dataState.lastFetchError.stakingApr = {
-      code: 'FETCH_FAILED',
+      code: error.code === 'CIRCUIT_OPEN' ? error.code : 'FETCH_FAILED',
       message: typeof message === 'string' ? message : JSON.stringify(message),
       timestamp: new Date().toISOString(),
     }
 
-    console.error('[ethstore] Failed to fetch staking APR:', dataState.lastFetchError.stakingApr.message)
+    if (error.code !== 'CIRCUIT_OPEN' || previousCode !== error.code) {
+      log.ethstore.error('Failed to fetch staking APR', {
+        errorCode: dataState.lastFetchError.stakingApr.code,
+        error: dataState.lastFetchError.stakingApr.message,
+      })
+    }
 
     return false
   }
 }
 
-async function fetchTotalStakedEth() {
-  try {
-    console.info('[ssv] Fetching total effective balance from SSV network...')
-
-    const response = await axios.get(STAKED_ETH_API_URL, {
+async function fetchEthStoreDay(day) {
+  const response = await upstreams.ethstore.execute(() =>
+    axios.get(`${ETHSTORE_API_URL}/${day}`, {
+      headers: {
+        accept: 'application/json',
+        'api-key': ethStoreApiKey,
+      },
       timeout: 10_000,
     })
+  )
+
+  return response.data?.data
+}
+
+// Pulls a bounded batch of missing days per poll so the 365d window fills in
+// gradually instead of hammering ETH.Store with a year of requests at once.
+async function backfillEthStoreDays(latestDay) {
+  const missing = ethStoreDays.missingDays(latestDay, ethStoreBackfillBatch)
+  let filled = 0
+
+  for (const day of missing) {
+    try {
+      if (ethStoreDays.upsert(await fetchEthStoreDay(day))) {
+        filled += 1
+      }
+    } catch (error) {
+      log.ethstore.warn('Backfill stopped', { day, error })
+      break
+    }
+  }
+
+  try {
+    await ethStoreDays.save()
+  } catch (error) {
+    log.ethstore.error('Failed to persist tracked days', { error })
+  }
+
+  if (filled > 0) {
+    log.ethstore.info('Backfilled missing days', { filled, missing: missing.length })
+  }
+}
+
+async function fetchTotalStakedEth(network) {
+  const { state } = network
+  const networkLog = log.ssv.child({ network: network.key })
+
+  try {
+    networkLog.debug('Fetching total effective balance')
+
+    const response = await network.upstream.execute(() =>
+      axios.get(network.stakedEthApiUrl, {
+        timeout: 10_000,
+      })
+    )
 
     const payload = response.data
     const rawValue =
@@ -258,98 +828,752 @@ async function fetchTotalStakedEth() {
       }
     }
 
+    const rejection = network.quality.screen('stakedEth', valueEth, state.stakedEth?.value)
+    if (rejection) {
+      recordSuspectValue('stakedEth', 'stakedEth', rejection, network)
+      return false
+    }
+
     const timestamp = new Date().toISOString()
+    network.quality.markUpdated('stakedEth', timestamp)
 
-    dataState.stakedEth = {
+    state.stakedEth = {
       value: valueEth,
       raw: payload ?? null,
       sourceUnit: 'gwei',
     }
-    dataState.lastFetchError.stakedEth = null
-    dataState.stakedEthUpdatedAt = timestamp
-
-    const displayValue =
-      typeof valueEth === 'number' && Number.isFinite(valueEth)
-        ? `${valueEth.toLocaleString(undefined, {
-            maximumFractionDigits: 0,
-          })} ETH`
-        : 'n/a'
+    state.lastFetchError.stakedEth = null
+    state.stakedEthUpdatedAt = timestamp
+    if (network.isDefault) {
+      history.record('stakedEth', timestamp, state.stakedEth)
+    }
 
-    console.info('[ssv] Updated total staked ETH at', timestamp, '-', displayValue)
+    networkLog.debug('Updated total staked ETH', { timestamp, stakedEth: valueEth })
 
     return true
   } catch (error) {
     const message = error.response?.data || error.message
 
-    dataState.lastFetchError.stakedEth = {
-      code: 'FETCH_FAILED',
+    const previousCode = state.lastFetchError.stakedEth?.code
+
+    state.lastFetchError.stakedEth = {
+      code: error.code === 'CIRCUIT_OPEN' ? error.code : 'FETCH_FAILED',
       message: typeof message === 'string' ? message : JSON.stringify(message),
       timestamp: new Date().toISOString(),
     }
 
-    console.error('[ssv] Failed to fetch staked ETH:', dataState.lastFetchError.stakedEth.message)
+    if (error.code !== 'CIRCUIT_OPEN' || previousCode !== error.code) {
+      networkLog.error('Failed to fetch staked ETH', {
+        errorCode: state.lastFetchError.stakedEth.code,
+        error: state.lastFetchError.stakedEth.message,
+      })
+    }
 
     return false
   }
 }
 
-async function fetchAllData() {
-  const [pricesUpdated, aprUpdated, stakedEthUpdated] = await Promise.all([
-    fetchLatestPrices(),
-    fetchEthStakingApr(),
-    fetchTotalStakedEth(),
-  ])
+async function fetchOperators(network) {
+  const state = network.operatorsState
+  const networkLog = log.ssv.child({ network: network.key })
+
+  try {
+    networkLog.debug('Fetching operators and clusters')
+    const { operators, clusters, truncated } = await network.operatorsSource.fetch()
+
+    state.operators = operators
+    state.clusters = clusters
+    state.paymentSplit = summarizePaymentSplit(clusters)
+    state.truncated = truncated
+    state.updatedAt = new Date().toISOString()
+    state.lastFetchError.operators = null
+    // Kept so the treasury tracker knows each day's ETH-paying share.
+    if (network.isDefault) {
+      history.record('clusterPayments', state.updatedAt, state.paymentSplit)
+    }
+
+    if (truncated) {
+      networkLog.warn('Operator lists exceed OPERATORS_MAX_PAGES; using the pages read', {
+        operators: operators.length,
+        clusters: clusters.length,
+      })
+    }
+    networkLog.debug('Updated operators', {
+      operators: operators.length,
+      clusters: clusters.length,
+    })
+    return true
+  } catch (error) {
+    const previousCode = state.lastFetchError.operators?.code
+    state.lastFetchError.operators = {
+      code: error.code === 'CIRCUIT_OPEN' ? error.code : 'FETCH_FAILED',
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    }
+
+    if (error.code !== 'CIRCUIT_OPEN' || previousCode !== error.code) {
+      networkLog.error('Failed to fetch operators', {
+        errorCode: state.lastFetchError.operators.code,
+        error,
+      })
+    }
+    return false
+  }
+}
+
+// One poller per market-wide source, plus staked-ETH and operator pollers per network. `state`
+// is where the fetcher records its value and lastFetchError.
+const pollers = [
+  { source: 'prices', network: null, state: dataState, fetch: fetchLatestPrices },
+  { source: 'stakingApr', network: null, state: dataState, fetch: fetchEthStakingApr },
+  ...networks.map((network) => ({
+    source: 'stakedEth',
+    network,
+    state: network.state,
+    fetch: () => fetchTotalStakedEth(network),
+  })),
+  ...networks
+    .filter((network) => network.operatorsSource)
+    .map((network) => ({
+      source: 'operators',
+      network,
+      state: network.operatorsState,
+      fetch: () => fetchOperators(network),
+    })),
+]
+
+// Buckets a finished poll for the fetch counter, using the error the fetcher recorded.
+function classifyFetchResult({ source, state }, succeeded) {
+  if (succeeded) return 'success'
 
-  if (pricesUpdated || aprUpdated || stakedEthUpdated) {
-    dataState.lastUpdated = new Date().toISOString()
+  const error = state.lastFetchError[source]
+  if (error?.code === 'SUSPECT_VALUE') return 'rejected'
+
+  // A price chain with no usable provider counts as missing keys only if every provider was.
+  const codes = error?.attempts?.length ? error.attempts.map((attempt) => attempt.code) : [error?.code]
+  return codes.every((code) => code === 'MISSING_API_KEY') ? 'missing_key' : 'failure'
+}
+
+// Polls one source on its own interval. A tick is skipped while the previous fetch (and its
+// retries) is still running, so a slow upstream never stacks up requests.
+function pollSource(poller) {
+  const { source, network, state } = poller
+  const networkLabel = network?.key ?? 'all'
+  let inFlight = false
+
+  const run = async () => {
+    if (inFlight) return
+    inFlight = true
+    const startedAt = process.hrtime.bigint()
+    try {
+      const succeeded = await poller.fetch()
+      // dataState.lastUpdated belongs to the default network and the market-wide sources.
+      if (succeeded && state === dataState) {
+        dataState.lastUpdated = new Date().toISOString()
+      }
+      const durationMs = elapsedMs(startedAt)
+      const status = classifyFetchResult(poller, succeeded)
+      sourceFetchDuration.observe({ source, network: networkLabel }, durationMs / 1000)
+      sourceFetches.inc({ source, network: networkLabel, result: status })
+
+      // One line per poll cycle with the same fields for every source.
+      log.poller[succeeded ? 'info' : 'warn']('Poll completed', {
+        source,
+        network: networkLabel,
+        status,
+        durationMs,
+        errorCode: succeeded ? null : state.lastFetchError[source]?.code ?? null,
+      })
+
+      // Failures change lastFetchError and quality too, so every run is pushed. Market-wide
+      // sources reach every network's subscribers.
+      marketStream.broadcast(
+        'snapshot',
+        (topic) => buildMarketSnapshot(networksByKey.get(topic)),
+        network ? [network.key] : null
+      )
+    } finally {
+      inFlight = false
+    }
   }
+
+  setInterval(run, sourceRefreshIntervalsMs[source]).unref()
+  return run()
 }
 
 async function startPolling() {
-  await fetchAllData()
-  setInterval(fetchAllData, refreshIntervalMs).unref()
+  await Promise.all(pollers.map(pollSource))
 }
 
-app.get('/api/prices', (req, res) => {
-  if (!dataState.prices && !dataState.stakingApr && !dataState.stakedEth) {
-    return res.status(503).json({
-      message: 'Market data not available yet.',
-      lastFetchError: dataState.lastFetchError,
-    })
+// ISO timestamps sort lexically, so the greatest string is the latest.
+const latestOf = (timestamps) =>
+  timestamps.reduce(
+    (latest, timestamp) => (timestamp && (!latest || timestamp > latest) ? timestamp : latest),
+    null
+  )
+
+// The /api/prices body for a network, also pushed to /api/stream subscribers. Null until any
+// source has data for it.
+function buildMarketSnapshot(network = defaultNetwork) {
+  const { state, operatorsState } = network
+  if (!dataState.prices && !dataState.stakingApr && !state.stakedEth) {
+    return null
   }
 
-  res.json({
+  return {
+    network: network.key,
     data: {
       prices: dataState.prices,
       stakingApr: dataState.stakingApr,
-      stakedEth: dataState.stakedEth,
+      stakedEth: state.stakedEth,
+      // How cluster balances pay their fees, from the last operators poll (null before one).
+      clusterPayments: operatorsState.paymentSplit,
     },
-    lastUpdated: dataState.lastUpdated,
+    config: calculatorConfig.get(),
+    lastUpdated: network.isDefault
+      ? dataState.lastUpdated
+      : latestOf([
+          dataState.pricesUpdatedAt,
+          dataState.stakingAprUpdatedAt,
+          state.stakedEthUpdatedAt,
+        ]),
     refreshIntervalMs,
+    refreshIntervalsMs: sourceRefreshIntervalsMs,
+    updatedAt: {
+      prices: dataState.pricesUpdatedAt,
+      stakingApr: dataState.stakingAprUpdatedAt,
+      stakedEth: state.stakedEthUpdatedAt,
+      clusterPayments: operatorsState.updatedAt,
+    },
+    quality: { ...quality.report(), stakedEth: network.quality.report().stakedEth },
     sources: {
-      prices: 'coinmarketcap',
+      prices: dataState.pricesProvider,
       stakingApr: 'beaconcha.in ETH.Store',
       stakedEth: 'ssv.network totalEffectiveBalance',
+      clusterPayments: network.operatorsSource?.name ?? null,
     },
-    lastFetchError: dataState.lastFetchError,
+    lastFetchError: { ...dataState.lastFetchError, stakedEth: state.lastFetchError.stakedEth },
+  }
+}
+
+// Cached copies are at most half the shortest poll interval old, and may be served while
+// revalidating for one more interval.
+const shortestRefreshSeconds =
+  Math.min(
+    sourceRefreshIntervalsMs.prices,
+    sourceRefreshIntervalsMs.stakingApr,
+    sourceRefreshIntervalsMs.stakedEth
+  ) / 1000
+const PRICES_CACHE_CONTROL = `public, max-age=${Math.max(
+  Math.floor(shortestRefreshSeconds / 2),
+  1
+)}, stale-while-revalidate=${Math.ceil(shortestRefreshSeconds)}`
+
+// ETag and Last-Modified for a snapshot. Both follow lastUpdated, but also change when a fetch
+// error, a config reload or a metric going stale alters the body; the per-request `ageMs`
+// fields are left out so they don't defeat revalidation.
+function snapshotValidators(snapshot) {
+  const configLoadedAt = calculatorConfig.status().loadedAt
+  const qualityStates = Object.entries(snapshot.quality).map(([metric, entry]) => [
+    metric,
+    entry.status,
+    entry.updatedAt,
+    entry.reason,
+  ])
+  const fingerprint = JSON.stringify([
+    snapshot.network,
+    snapshot.lastUpdated,
+    snapshot.updatedAt.clusterPayments,
+    configLoadedAt,
+    snapshot.lastFetchError,
+    qualityStates,
+  ])
+
+  const changeTimes = [
+    snapshot.lastUpdated,
+    snapshot.updatedAt.clusterPayments,
+    configLoadedAt,
+    ...Object.values(snapshot.lastFetchError).map((error) => error?.timestamp),
+  ]
+    .map((timestamp) => (timestamp ? Date.parse(timestamp) : NaN))
+    .concat(
+      Object.values(snapshot.quality)
+        .filter((entry) => entry.status === 'stale' && entry.updatedAt)
+        .map((entry) => Date.parse(entry.updatedAt) + entry.staleAfterMs)
+    )
+    .filter(Number.isFinite)
+
+  return {
+    etag: `W/"${crypto.createHash('sha1').update(fingerprint).digest('base64url')}"`,
+    lastModified: changeTimes.length > 0 ? new Date(Math.max(...changeTimes)) : null,
+  }
+}
+
+app.get('/api/networks', (req, res) => {
+  res.json({
+    defaultNetwork: defaultNetwork.key,
+    networks: networks.map(({ key, label }) => ({ key, label })),
+  })
+})
+
+app.get('/api/prices', (req, res) => {
+  const network = resolveNetwork(req.query.network)
+  if (!network) {
+    return res.status(400).json(unknownNetworkBody())
+  }
+
+  const snapshot = buildMarketSnapshot(network)
+  if (!snapshot) {
+    return res.status(503).set('Cache-Control', 'no-store').json({
+      message: 'Market data not available yet.',
+      lastFetchError: dataState.lastFetchError,
+    })
+  }
+
+  const { etag, lastModified } = snapshotValidators(snapshot)
+  res.set({ 'Cache-Control': PRICES_CACHE_CONTROL, ETag: etag })
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString())
+  }
+
+  // req.fresh checks If-None-Match first and falls back to If-Modified-Since.
+  if (req.fresh) {
+    return res.status(304).end()
+  }
+
+  res.json(snapshot)
+})
+
+// Server-Sent Events: the current snapshot on connect (once there is one), then a `snapshot`
+// event after every poll.
+app.get('/api/stream', (req, res) => {
+  const network = resolveNetwork(req.query.network)
+  if (!network) {
+    return res.status(400).json(unknownNetworkBody())
+  }
+
+  const snapshot = buildMarketSnapshot(network)
+  marketStream.connect(
+    req,
+    res,
+    network.key,
+    snapshot ? { event: 'snapshot', data: snapshot } : null
+  )
+})
+
+app.get('/api/history', (req, res) => {
+  const { metric } = req.query
+
+  if (!Object.hasOwn(HISTORY_METRICS, metric)) {
+    return res.status(400).json({
+      message: `Unknown metric. Expected one of: ${Object.keys(HISTORY_METRICS).join(', ')}.`,
+      code: 'INVALID_METRIC',
+    })
+  }
+
+  const from = parseTimestamp(req.query.from)
+  const to = parseTimestamp(req.query.to)
+  if (Number.isNaN(from) || Number.isNaN(to) || (from !== null && to !== null && from > to)) {
+    return res.status(400).json({
+      message: '`from` and `to` must be ISO dates or epoch milliseconds, with `from` <= `to`.',
+      code: 'INVALID_RANGE',
+    })
+  }
+
+  const interval = parseInterval(req.query.interval)
+  if (Number.isNaN(interval)) {
+    return res.status(400).json({
+      message: '`interval` must look like 15m, 1h, 1d, 1w or be `raw`.',
+      code: 'INVALID_INTERVAL',
+    })
+  }
+
+  res.json({
+    metric,
+    ...history.query({ metric, from, to, interval }),
+  })
+})
+
+// Parses an optional 1-based integer query value; NaN when present but not a positive integer.
+function parsePositiveInteger(value, fallback) {
+  if (value === undefined || value === '') return fallback
+  const numeric = Number(value)
+  return Number.isInteger(numeric) && numeric > 0 ? numeric : NaN
+}
+
+// Yearly network fees per SSV operator, attributed from the operator's share of cluster balances.
+app.get('/api/operators', (req, res) => {
+  const network = resolveNetwork(req.query.network)
+  if (!network) {
+    return res.status(400).json(unknownNetworkBody())
+  }
+
+  const sort = req.query.sort ?? 'feesEth'
+  const order = req.query.order ?? (sort === 'name' || sort === 'id' ? 'asc' : 'desc')
+  if (!OPERATOR_SORT_KEYS.includes(sort) || !['asc', 'desc'].includes(order)) {
+    return res.status(400).json({
+      message: `\`sort\` must be one of: ${OPERATOR_SORT_KEYS.join(', ')}; \`order\` must be asc or desc.`,
+      code: 'INVALID_SORT',
+    })
+  }
+
+  const page = parsePositiveInteger(req.query.page, 1)
+  const perPage = parsePositiveInteger(req.query.perPage, 25)
+  if (Number.isNaN(page) || Number.isNaN(perPage) || perPage > MAX_OPERATORS_PER_PAGE) {
+    return res.status(400).json({
+      message: `\`page\` and \`perPage\` must be positive integers, with \`perPage\` <= ${MAX_OPERATORS_PER_PAGE}.`,
+      code: 'INVALID_PAGE',
+    })
+  }
+
+  const { operatorsState } = network
+  if (!operatorsState.operators) {
+    return res.status(503).json({
+      message: network.operatorsSource
+        ? 'Operator data not available yet.'
+        : `No SSV API configured for ${network.key}.`,
+      code: 'OPERATORS_UNAVAILABLE',
+      lastFetchError: operatorsState.lastFetchError.operators,
+    })
+  }
+
+  const assumptions = {
+    ethApr: dataState.stakingApr?.value ?? null,
+    networkFee: calculatorConfig.get().networkFeeBaseline,
+    ethPrice: dataState.prices?.ETH?.priceUsd ?? null,
+  }
+  const rows = attributeFees(operatorsState, assumptions)
+  const sum = (key) =>
+    rows.some((row) => row[key] === null) ? null : rows.reduce((acc, row) => acc + row[key], 0)
+  const { totalPages, rows: pageRows } = sortAndPage(rows, { sort, order, page, perPage })
+
+  res.json({
+    network: network.key,
+    updatedAt: operatorsState.updatedAt,
+    truncated: operatorsState.truncated,
+    assumptions,
+    totals: {
+      operators: rows.length,
+      clusters: operatorsState.clusters.length,
+      validatorCount: operatorsState.clusters.reduce(
+        (acc, cluster) => acc + cluster.validatorCount,
+        0
+      ),
+      effectiveBalanceEth: sum('effectiveBalanceEth'),
+      ethPayingBalanceEth: sum('ethPayingBalanceEth'),
+      feesEth: sum('feesEth'),
+      feesUsd: sum('feesUsd'),
+    },
+    clusterPayments: operatorsState.paymentSplit,
+    sort,
+    order,
+    page,
+    perPage,
+    totalPages,
+    operators: pageRows,
+  })
+})
+
+// Network fees the SSV DAO treasury has collected since the start date, which is what stakers
+// would have received had staking been live, plus a projection. History covers only the
+// default network.
+app.get('/api/treasury', (req, res) => {
+  const now = Date.now()
+  const requestedFrom = parseTimestamp(req.query.from)
+  if (Number.isNaN(requestedFrom) || (requestedFrom !== null && requestedFrom > now)) {
+    return res.status(400).json({
+      message: '`from` must be an ISO date or epoch milliseconds, and not in the future.',
+      code: 'INVALID_RANGE',
+    })
+  }
+
+  const projectionDays = parsePositiveInteger(req.query.projectionDays, DEFAULT_PROJECTION_DAYS)
+  if (Number.isNaN(projectionDays) || projectionDays > MAX_PROJECTION_DAYS) {
+    return res.status(400).json({
+      message: `\`projectionDays\` must be a positive integer <= ${MAX_PROJECTION_DAYS}.`,
+      code: 'INVALID_PROJECTION',
+    })
+  }
+
+  const firstSample = ['stakedEth', 'stakingApr']
+    .map((source) => history.earliest(source)?.time)
+    .filter((time) => time !== undefined)
+  const configuredFrom =
+    requestedFrom ??
+    (Number.isNaN(TREASURY_START_DATE) ? null : TREASURY_START_DATE) ??
+    (firstSample.length ? Math.min(...firstSample) : null)
+  // A start date still in the future counts from today.
+  const from = Math.min(configuredFrom ?? now, now)
+  const dailyPoints = (metric) =>
+    configuredFrom === null
+      ? []
+      : history.query({ metric, from: startOfUtcDay(from), to: now, interval: DAY_MS }).points
+
+  const treasury = accrueTreasury({
+    stakedEthPoints: dailyPoints('stakedEth'),
+    aprPoints: dailyPoints('stakingApr'),
+    sharePoints: dailyPoints('ethPaymentShare'),
+    from,
+    now,
+    networkFee: calculatorConfig.get().networkFeeBaseline,
+    ethPaymentShare: defaultNetwork.operatorsState.paymentSplit?.ethShare ?? 1,
+    ethPrice: dataState.prices?.ETH?.priceUsd ?? null,
+    projectionDays,
+  })
+  if (!treasury) {
+    return res.status(503).json({
+      message: 'Treasury accrual needs recorded staked ETH and staking APR history.',
+      code: 'TREASURY_UNAVAILABLE',
+    })
+  }
+
+  res.json({ network: defaultNetwork.key, ...treasury })
+})
+
+// Live values used for any input a POST /api/calculate caller leaves out.
+function liveCalculatorInputs({ stakedSsvFromPercent }, network) {
+  const config = calculatorConfig.get()
+
+  return {
+    stakedEth: network.state.stakedEth?.value ?? null,
+    ethPrice: dataState.prices?.ETH?.priceUsd ?? null,
+    ethApr: dataState.stakingApr?.value ?? null,
+    networkFee: config.networkFeeBaseline,
+    ssvPrice: dataState.prices?.SSV?.priceUsd ?? null,
+    stakedSsv: stakedSsvFromPercent(
+      dataState.prices?.SSV?.totalSupply,
+      config.stakedSsvBaselinePercent
+    ),
+  }
+}
+
+app.post('/api/calculate', async (req, res) => {
+  const calculator = await loadCalculator()
+  const { CALCULATOR_INPUT_KEYS, calculateAccrual, validateCalculatorInputs } = calculator
+  const body = req.body && typeof req.body === 'object' ? req.body : {}
+
+  const invalidProvided = CALCULATOR_INPUT_KEYS.filter(
+    (key) =>
+      body[key] !== undefined &&
+      body[key] !== null &&
+      (typeof body[key] !== 'number' || !Number.isFinite(body[key]) || body[key] < 0)
+  )
+  if (invalidProvided.length > 0) {
+    return res.status(400).json({
+      message: `Inputs must be non-negative numbers: ${invalidProvided.join(', ')}.`,
+      code: 'INVALID_INPUT',
+    })
+  }
+
+  const providedEthPaymentShare = body.ethPaymentShare ?? null
+  if (
+    providedEthPaymentShare !== null &&
+    (typeof providedEthPaymentShare !== 'number' ||
+      !(providedEthPaymentShare >= 0 && providedEthPaymentShare <= 1))
+  ) {
+    return res.status(400).json({
+      message: '`ethPaymentShare` must be a decimal between 0 and 1.',
+      code: 'INVALID_INPUT',
+    })
+  }
+
+  const network = resolveNetwork(req.query.network)
+  if (!network) {
+    return res.status(400).json(unknownNetworkBody())
+  }
+
+  const { inputs, defaultedFromLive } = resolveCalculatorInputs(
+    body,
+    liveCalculatorInputs(calculator, network),
+    CALCULATOR_INPUT_KEYS
+  )
+
+  const missing = validateCalculatorInputs(inputs)
+  if (missing.length > 0) {
+    return res.status(422).json({
+      message: `No value provided and no live data available for: ${missing.join(', ')}.`,
+      code: 'MISSING_INPUT',
+    })
+  }
+
+  res.json({
+    inputs,
+    defaultedFromLive,
+    result: calculateAccrual(inputs),
   })
 })
 
+async function resolveShareScenario(req, res) {
+  const scenario = decodeScenarioId(req.params.scenarioId)
+  if (!scenario) {
+    res.status(400).json({
+      message: 'Invalid scenario id.',
+      code: 'INVALID_SCENARIO',
+    })
+    return null
+  }
+
+  return {
+    scenario,
+    figures: await computeShareFigures(scenario, {
+      dataState,
+      calculatorConfig: calculatorConfig.get(),
+      ethPaymentShare: defaultNetwork.operatorsState.paymentSplit?.ethShare ?? null,
+    }),
+  }
+}
+
+const shareCardCache = createShareCardCache({
+  maxEntries: readPositiveNumber(process.env.SHARE_CARD_CACHE_SIZE, 200),
+})
+
+// Pinned scenarios never change, so their cards can be cached aggressively.
+const shareCacheControl = (figures) =>
+  figures.pinned
+    ? 'public, max-age=31536000, immutable'
+    : `public, max-age=${Math.round(refreshIntervalMs / 1000)}`
+
+app.get('/share/:scenarioId', async (req, res) => {
+  const resolved = await resolveShareScenario(req, res)
+  if (!resolved) return
+
+  const baseUrl = PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`
+  const pageUrl = `${baseUrl}/share/${req.params.scenarioId}`
+
+  res
+    .set('Cache-Control', shareCacheControl(resolved.figures))
+    .type('html')
+    .send(
+      renderSharePage({
+        figures: resolved.figures,
+        pageUrl,
+        imageUrl: `${pageUrl}/card.png`,
+        calculatorUrl: resolved.scenario.search
+          ? `${WEBAPP_URL}/?${resolved.scenario.search}`
+          : `${WEBAPP_URL}/`,
+      })
+    )
+})
+
+app.get('/share/:scenarioId/card.svg', async (req, res) => {
+  const resolved = await resolveShareScenario(req, res)
+  if (!resolved) return
+
+  res
+    .set('Cache-Control', shareCacheControl(resolved.figures))
+    .type('image/svg+xml')
+    .send(renderShareCardSvg(resolved.figures))
+})
+
+app.get('/share/:scenarioId/card.png', async (req, res) => {
+  const resolved = await resolveShareScenario(req, res)
+  if (!resolved) return
+
+  try {
+    const svg = renderShareCardSvg(resolved.figures)
+    let png = shareCardCache.get(req.params.scenarioId, svg)
+    if (!png) {
+      png = renderShareCardPng(svg, { fontFiles: SHARE_FONT_FILES })
+      shareCardCache.set(req.params.scenarioId, svg, png)
+    }
+    res.set('Cache-Control', shareCacheControl(resolved.figures)).type('png').send(png)
+  } catch (error) {
+    log.share.error('Failed to render share card', { requestId: req.id, error })
+    res.status(500).json({
+      message: 'Failed to render share card.',
+      code: 'RENDER_FAILED',
+    })
+  }
+})
+
+app.get('/metrics', (req, res) => {
+  res.type(PROMETHEUS_CONTENT_TYPE).send(metrics.render())
+})
+
 app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     lastUpdated: dataState.lastUpdated,
     lastFetchError: dataState.lastFetchError,
     symbols,
+    priceProviders: priceProviders.names,
+    pricesProvider: dataState.pricesProvider,
     stakingAprConfigured: Boolean(ethStoreApiKey),
     stakedEthAvailable: Boolean(dataState.stakedEth),
+    defaultNetwork: defaultNetwork.key,
+    networks: Object.fromEntries(
+      networks.map(({ key, state, operatorsSource, operatorsState }) => [
+        key,
+        {
+          stakedEthAvailable: Boolean(state.stakedEth),
+          stakedEthUpdatedAt: state.stakedEthUpdatedAt,
+          lastFetchError: state.lastFetchError.stakedEth,
+          operators: {
+            configured: Boolean(operatorsSource),
+            updatedAt: operatorsState.updatedAt,
+            truncated: operatorsState.truncated,
+            lastFetchError: operatorsState.lastFetchError.operators,
+          },
+        },
+      ])
+    ),
     refreshIntervalMs,
+    refreshIntervalsMs: sourceRefreshIntervalsMs,
+    streamSubscribers: marketStream.size(),
+    quality: quality.report(),
+    upstreams: Object.fromEntries(
+      Object.entries(upstreams).map(([name, upstream]) => [name, upstream.status()])
+    ),
+    calculatorConfig: calculatorConfig.status(),
+  })
+})
+
+// Last in the chain: anything a route throws, or the JSON body parser rejects, leaves as a
+// `{ message, code }` body instead of Express's HTML error page.
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err)
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      message: 'Request body is not valid JSON.',
+      code: 'INVALID_JSON',
+    })
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      message: 'Request body is too large.',
+      code: 'PAYLOAD_TOO_LARGE',
+    })
+  }
+
+  log.server.error('Unhandled request error', {
+    requestId: req.id,
+    method: req.method,
+    path: req.path,
+    error: err,
+    stack: err.stack,
+  })
+  res.status(500).json({
+    message: 'Internal server error.',
+    code: 'INTERNAL_ERROR',
   })
 })
 
 const port = Number(process.env.PORT) || 4000
 
+restoreFromHistory()
+if (Number.isNaN(TREASURY_START_DATE)) {
+  log.server.warn('Ignoring invalid TREASURY_START_DATE', {
+    value: process.env.TREASURY_START_DATE,
+  })
+}
+ethStoreDays.load()
+calculatorConfig.reload()
+calculatorConfig.watch()
+
 app.listen(port, () => {
-  console.log(`[server] listening on port ${port}`)
+  log.server.info('Listening', { port, logLevel })
   startPolling()
 })
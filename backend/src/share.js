@@ -0,0 +1,325 @@
+const { Resvg } = require('@resvg/resvg-js')
+const { loadCalculator } = require('./calculator')
+
+// Scenario ids are the webapp's scenario query string, base64url-encoded. Keeping them
+// stateless means any share link keeps working without a database behind it.
+const INPUT_PARAMS = {
+  ethPriceDeltaPct: 'ethPrice',
+  ssvPriceDeltaPct: 'ssvPrice',
+  stakedEthDeltaPct: 'stakedEth',
+  networkFeeDeltaPct: 'networkFee',
+  stakedSsvPercent: 'stakedSsv',
+  ethPaymentPercent: 'ethPaying',
+}
+
+// The optional ETH payment migration: target %, length in years and curve shape.
+const MIGRATION_PARAMS = {
+  targetPercent: 'ethPayingTarget',
+  years: 'ethPayingYears',
+}
+const MIGRATION_CURVE_PARAM = 'ethPayingCurve'
+
+const BASELINE_PARAMS = {
+  ethPrice: 'baseEthPrice',
+  ssvPrice: 'baseSsvPrice',
+  stakedEth: 'baseStakedEth',
+  ethAprPercent: 'baseEthApr',
+  ssvTotalSupply: 'baseSsvSupply',
+  networkFee: 'baseNetworkFee',
+}
+
+const MAX_SCENARIO_ID_LENGTH = 2048
+
+const CARD_WIDTH = 1200
+const CARD_HEIGHT = 630
+
+const readNumberParam = (params, name) => {
+  const raw = params.get(name)
+  if (raw === null || raw.trim() === '') return null
+  const numeric = Number(raw)
+  return Number.isFinite(numeric) ? numeric : null
+}
+
+function decodeScenarioId(scenarioId) {
+  if (
+    typeof scenarioId !== 'string' ||
+    scenarioId.length > MAX_SCENARIO_ID_LENGTH ||
+    !/^[A-Za-z0-9_-]+$/.test(scenarioId)
+  ) {
+    return null
+  }
+
+  const search = Buffer.from(scenarioId, 'base64url').toString('utf8')
+  const params = new URLSearchParams(search)
+
+  const inputs = Object.entries(INPUT_PARAMS).reduce((acc, [key, name]) => {
+    acc[key] = readNumberParam(params, name)
+    return acc
+  }, {})
+
+  const baseline = Object.entries(BASELINE_PARAMS).reduce((acc, [key, name]) => {
+    acc[key] = readNumberParam(params, name)
+    return acc
+  }, {})
+
+  const hasBaseline = Object.values(baseline).every((value) => value !== null)
+
+  const migration = Object.entries(MIGRATION_PARAMS).reduce(
+    (acc, [key, name]) => {
+      acc[key] = readNumberParam(params, name)
+      return acc
+    },
+    { curve: params.get(MIGRATION_CURVE_PARAM) }
+  )
+  const hasMigration = migration.curve !== null && migration.targetPercent !== null
+
+  return {
+    search: params.toString(),
+    inputs,
+    ethAprWindow: params.get('aprWindow') || null,
+    baseline: hasBaseline ? baseline : null,
+    ethPaymentMigration: hasMigration ? migration : null,
+  }
+}
+
+// Resolves the figures shown on a share card. A pinned baseline in the scenario wins,
+// otherwise the live snapshot fills the gaps. `ethPaymentShare` is the live ETH-paying share
+// of cluster balances, or null when unknown (every cluster is then assumed to pay in ETH).
+async function computeShareFigures(scenario, { dataState, calculatorConfig, ethPaymentShare }) {
+  const {
+    applyDelta,
+    averageEthPaymentShare,
+    calculateAccrual,
+    stakedSsvFromPercent,
+  } = await loadCalculator()
+
+  const live = {
+    ethPrice: dataState.prices?.ETH?.priceUsd ?? null,
+    ssvPrice: dataState.prices?.SSV?.priceUsd ?? null,
+    stakedEth: dataState.stakedEth?.value ?? null,
+    ethAprPercent: (() => {
+      const windowValue = dataState.stakingApr?.windows?.[scenario.ethAprWindow]?.value
+      const value = typeof windowValue === 'number' ? windowValue : dataState.stakingApr?.value
+      return typeof value === 'number' ? value * 100 : null
+    })(),
+    ssvTotalSupply: dataState.prices?.SSV?.totalSupply ?? null,
+    networkFee: calculatorConfig.networkFeeBaseline,
+  }
+  const baseline = scenario.baseline ?? live
+
+  const stakedSsvPercent =
+    scenario.inputs.stakedSsvPercent ?? calculatorConfig.stakedSsvBaselinePercent
+
+  // With a migration, the card shows the first year's average share, like the webapp.
+  const startEthPaymentPercent =
+    scenario.inputs.ethPaymentPercent ?? (ethPaymentShare ?? 1) * 100
+  const migration = scenario.ethPaymentMigration
+  const ethPaymentPercent = migration
+    ? averageEthPaymentShare(
+        {
+          from: startEthPaymentPercent / 100,
+          to: migration.targetPercent / 100,
+          years: migration.years,
+          curve: migration.curve,
+        },
+        1
+      ) * 100
+    : Math.min(Math.max(startEthPaymentPercent, 0), 100)
+
+  const figures = {
+    pinned: Boolean(scenario.baseline),
+    ethPrice: applyDelta(baseline.ethPrice, scenario.inputs.ethPriceDeltaPct),
+    ssvPrice: applyDelta(baseline.ssvPrice, scenario.inputs.ssvPriceDeltaPct),
+    stakedEth: applyDelta(baseline.stakedEth, scenario.inputs.stakedEthDeltaPct),
+    ethAprPercent: baseline.ethAprPercent,
+    networkFeePercent:
+      typeof baseline.networkFee === 'number'
+        ? applyDelta(baseline.networkFee, scenario.inputs.networkFeeDeltaPct) * 100
+        : null,
+    stakedSsvPercent,
+    stakedSsv: stakedSsvFromPercent(baseline.ssvTotalSupply, stakedSsvPercent),
+    ethPaymentPercent,
+  }
+
+  const accrual = calculateAccrual({
+    stakedEth: figures.stakedEth,
+    ethPrice: figures.ethPrice,
+    ethApr: typeof figures.ethAprPercent === 'number' ? figures.ethAprPercent / 100 : null,
+    networkFee:
+      typeof figures.networkFeePercent === 'number' ? figures.networkFeePercent / 100 : null,
+    ssvPrice: figures.ssvPrice,
+    stakedSsv: figures.stakedSsv,
+    ethPaymentShare: figures.ethPaymentPercent / 100,
+  })
+
+  figures.overallFeesUsd = accrual.totalFeesUsd
+  figures.ssvAprPercent = accrual.ssvApr !== null ? accrual.ssvApr * 100 : null
+
+  return figures
+}
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+
+const formatNumber = (value, options) =>
+  typeof value === 'number' && Number.isFinite(value)
+    ? new Intl.NumberFormat('en-US', options).format(value)
+    : '—'
+
+const formatUsd = (value, maximumFractionDigits = 0) =>
+  formatNumber(value, { style: 'currency', currency: 'USD', maximumFractionDigits })
+
+const formatPercent = (value, digits = 1) =>
+  typeof value === 'number' && Number.isFinite(value)
+    ? `${value.toFixed(digits)}%`
+    : '—'
+
+const describeFigures = (figures) => [
+  ['Staked ETH', `${formatNumber(figures.stakedEth, { maximumFractionDigits: 0 })} ETH`],
+  ['ETH price', formatUsd(figures.ethPrice)],
+  ['ETH APR', formatPercent(figures.ethAprPercent, 2)],
+  ['Network fee', formatPercent(figures.networkFeePercent, 2)],
+  ['SSV price', formatUsd(figures.ssvPrice, 2)],
+  ['Staked SSV', formatPercent(figures.stakedSsvPercent, 0)],
+]
+
+function renderShareCardSvg(figures) {
+  const rows = describeFigures(figures)
+    .map(([label, value], index) => {
+      const column = index % 2
+      const row = Math.floor(index / 2)
+      const x = 80 + column * 300
+      const y = 420 + row * 64
+      return `<text x="${x}" y="${y}" class="label">${escapeHtml(label)}</text>` +
+        `<text x="${x}" y="${y + 30}" class="value">${escapeHtml(value)}</text>`
+    })
+    .join('')
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}">
+<defs>
+<linearGradient id="bg" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="#2563eb"/><stop offset="1" stop-color="#1d4ed8"/></linearGradient>
+<style>
+text { font-family: Inter, 'Segoe UI', 'Helvetica Neue', Arial, sans-serif; fill: #fff; }
+.title { font-size: 40px; font-weight: 600; }
+.apr-label { font-size: 26px; font-weight: 700; letter-spacing: 3px; fill: rgba(255,255,255,0.75); }
+.apr { font-size: 150px; font-weight: 700; }
+.fees { font-size: 30px; fill: rgba(255,255,255,0.9); }
+.label { font-size: 20px; fill: rgba(255,255,255,0.7); }
+.value { font-size: 26px; font-weight: 600; }
+</style>
+</defs>
+<rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="url(#bg)"/>
+<text x="80" y="100" class="title">SSV - ETH Accrual Token</text>
+<text x="80" y="170" class="apr-label">STAKED SSV APR (PAID IN ETH)</text>
+<text x="72" y="310" class="apr">${escapeHtml(formatPercent(figures.ssvAprPercent))}</text>
+<text x="80" y="365" class="fees">Network fees: ${escapeHtml(formatUsd(figures.overallFeesUsd))} / year</text>
+<rect x="680" y="390" width="450" height="180" rx="24" fill="rgba(255,255,255,0.12)"/>
+<text x="710" y="450" class="label">Scenario built on the</text>
+<text x="710" y="490" class="value">ETH Accrual Token calculator</text>
+<text x="710" y="530" class="label">${figures.pinned ? 'Pinned market values' : 'Live market values'}</text>
+${rows}
+</svg>`
+}
+
+// Rendered PNGs by scenario id, least recently used first. resvg renders synchronously, so a
+// hit saves blocking the event loop. An entry only counts while the card's SVG is unchanged:
+// unpinned scenarios follow live data, and their card changes with it.
+function createShareCardCache({ maxEntries }) {
+  const entries = new Map()
+
+  function get(scenarioId, svg) {
+    const entry = entries.get(scenarioId)
+    if (!entry || entry.svg !== svg) return null
+
+    entries.delete(scenarioId)
+    entries.set(scenarioId, entry)
+    return entry.png
+  }
+
+  function set(scenarioId, svg, png) {
+    entries.delete(scenarioId)
+    entries.set(scenarioId, { svg, png })
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value)
+    }
+  }
+
+  return { get, set, size: () => entries.size }
+}
+
+function renderShareCardPng(svg, { fontFiles = [] } = {}) {
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'width', value: CARD_WIDTH },
+    font: {
+      loadSystemFonts: true,
+      fontFiles,
+      defaultFontFamily: 'Inter',
+    },
+  })
+  return resvg.render().asPng()
+}
+
+function renderSharePage({ figures, pageUrl, imageUrl, calculatorUrl }) {
+  const aprText = formatPercent(figures.ssvAprPercent)
+  const title = `SSV stakers could earn ${aprText} APR in ETH`
+  // The card has room for six inputs; the ETH-paying share is only mentioned when it matters.
+  const inputs = describeFigures(figures)
+  if (figures.ethPaymentPercent < 100) {
+    inputs.push(['Clusters paying in ETH', formatPercent(figures.ethPaymentPercent, 0)])
+  }
+  const description = `${formatUsd(figures.overallFeesUsd)} in yearly network fees with ${inputs
+    .map(([label, value]) => `${label} ${value}`)
+    .join(', ')}.`
+
+  const meta = [
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:image', imageUrl],
+    ['property', 'og:image:width', String(CARD_WIDTH)],
+    ['property', 'og:image:height', String(CARD_HEIGHT)],
+    ['property', 'og:type', 'website'],
+    ['property', 'og:url', pageUrl],
+    ['name', 'twitter:card', 'summary_large_image'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', imageUrl],
+    ['name', 'twitter:site', '@ssv_network'],
+  ]
+    .map(
+      ([attribute, key, content]) =>
+        `    <meta ${attribute}="${key}" content="${escapeHtml(content)}" />`
+    )
+    .join('\n')
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>${escapeHtml(title)}</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+${meta}
+    <meta http-equiv="refresh" content="0; url=${escapeHtml(calculatorUrl)}" />
+  </head>
+  <body>
+    <main>
+      <p>${escapeHtml(title)}.</p>
+      <p><a href="${escapeHtml(calculatorUrl)}">Open this scenario in the calculator</a></p>
+    </main>
+  </body>
+</html>
+`
+}
+
+module.exports = {
+  computeShareFigures,
+  createShareCardCache,
+  decodeScenarioId,
+  renderShareCardPng,
+  renderShareCardSvg,
+  renderSharePage,
+}
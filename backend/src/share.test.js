@@ -0,0 +1,27 @@
+const assert = require('node:assert/strict')
+const { test } = require('node:test')
+const { createShareCardCache } = require('./share')
+
+test('the share card cache only hits while the SVG is unchanged', () => {
+  const cache = createShareCardCache({ maxEntries: 2 })
+  const png = Buffer.from('png')
+
+  cache.set('a', '<svg>1</svg>', png)
+
+  assert.equal(cache.get('a', '<svg>1</svg>'), png)
+  assert.equal(cache.get('a', '<svg>2</svg>'), null)
+})
+
+test('the share card cache evicts the least recently used scenario', () => {
+  const cache = createShareCardCache({ maxEntries: 2 })
+
+  cache.set('a', 'svg-a', Buffer.from('a'))
+  cache.set('b', 'svg-b', Buffer.from('b'))
+  cache.get('a', 'svg-a')
+  cache.set('c', 'svg-c', Buffer.from('c'))
+
+  assert.equal(cache.size(), 2)
+  assert.equal(cache.get('b', 'svg-b'), null)
+  assert.ok(cache.get('a', 'svg-a'))
+  assert.ok(cache.get('c', 'svg-c'))
+})
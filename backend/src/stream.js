@@ -0,0 +1,65 @@
+// Server-Sent Events fan-out. Clients stay connected to GET /api/stream and receive the
+// broadcasts for the topic they subscribed to; a comment line every `heartbeatMs` keeps proxies
+// from closing idle connections.
+
+const DEFAULT_HEARTBEAT_MS = 25_000
+const CLIENT_RETRY_MS = 5_000
+
+function createEventStream({ heartbeatMs = DEFAULT_HEARTBEAT_MS } = {}) {
+  // response -> topic
+  const clients = new Map()
+  let nextEventId = 1
+
+  const format = (event, data) =>
+    `id: ${nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+
+  setInterval(() => {
+    for (const res of clients.keys()) {
+      res.write(': heartbeat\n\n')
+    }
+  }, heartbeatMs).unref()
+
+  // `initial` is sent to the new client only, so it starts from the current state.
+  function connect(req, res, topic, initial) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    })
+    res.write(`retry: ${CLIENT_RETRY_MS}\n\n`)
+
+    if (initial) {
+      res.write(format(initial.event, initial.data))
+    }
+
+    clients.set(res, topic)
+    req.on('close', () => {
+      clients.delete(res)
+    })
+  }
+
+  // `dataFor(topic)` is called once per topic with subscribers; `topics` limits the broadcast.
+  function broadcast(event, dataFor, topics = null) {
+    const messages = new Map()
+    for (const [res, topic] of clients) {
+      if (topics && !topics.includes(topic)) continue
+      if (!messages.has(topic)) {
+        const data = dataFor(topic)
+        messages.set(topic, data ? format(event, data) : null)
+      }
+      const message = messages.get(topic)
+      if (message) {
+        res.write(message)
+      }
+    }
+  }
+
+  return {
+    connect,
+    broadcast,
+    size: () => clients.size,
+  }
+}
+
+module.exports = { createEventStream }
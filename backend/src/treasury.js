@@ -0,0 +1,142 @@
+// Network fees the SSV DAO treasury collects before staking launches, rebuilt from the recorded
+// staked-ETH, APR and cluster payment history. The same ETH is what stakers would have received
+// had staking been live since the start date.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DAYS_PER_YEAR = 365
+
+const DEFAULT_PROJECTION_DAYS = 365
+const MAX_PROJECTION_DAYS = 5 * DAYS_PER_YEAR
+
+const startOfUtcDay = (time) => Math.floor(time / DAY_MS) * DAY_MS
+
+// One value per day from daily history buckets. Days without samples carry the previous day's
+// value forward; days before the first sample borrow it and are flagged `estimated`.
+function fillDailyValues(points, fromDay, dayCount) {
+  const byDay = new Map(
+    points.map((point) => [startOfUtcDay(Date.parse(point.timestamp)), point.value])
+  )
+  const firstValue = points[0]?.value ?? null
+
+  const days = []
+  let carried = null
+  for (let index = 0; index < dayCount; index += 1) {
+    const value = byDay.get(fromDay + index * DAY_MS)
+    if (value !== undefined) carried = value
+    days.push({ value: carried ?? firstValue, estimated: carried === null })
+  }
+  return days
+}
+
+// Fees accrue continuously, so the first day only counts from `from` and the current day only
+// counts the part that has already elapsed. The ETH-paying share comes from `sharePoints` (the
+// recorded cluster payment split); with none recorded, `ethPaymentShare` applies to every day.
+// Returns null when there is no staked-ETH or APR history to work from.
+function accrueTreasury({
+  stakedEthPoints,
+  aprPoints,
+  sharePoints = [],
+  from,
+  now,
+  networkFee,
+  ethPaymentShare = 1,
+  ethPrice = null,
+  projectionDays = DEFAULT_PROJECTION_DAYS,
+}) {
+  if (!stakedEthPoints.length || !aprPoints.length) return null
+
+  const fromDay = startOfUtcDay(from)
+  const dayCount = Math.max(1, Math.ceil((now - fromDay) / DAY_MS))
+  const stakedEthDays = fillDailyValues(stakedEthPoints, fromDay, dayCount)
+  const aprDays = fillDailyValues(aprPoints, fromDay, dayCount)
+  const shareDays = sharePoints.length
+    ? fillDailyValues(sharePoints, fromDay, dayCount)
+    : Array.from({ length: dayCount }, () => ({ value: ethPaymentShare, estimated: true }))
+  const feesPerDay = (stakedEth, apr, share) =>
+    (stakedEth * apr * networkFee * share) / DAYS_PER_YEAR
+  const toUsd = (eth) => (typeof ethPrice === 'number' ? eth * ethPrice : null)
+
+  const points = []
+  let balanceEth = 0
+  let estimatedDays = 0
+  let estimatedShareDays = 0
+  for (let index = 0; index < dayCount; index += 1) {
+    const dayStart = fromDay + index * DAY_MS
+    const counted =
+      Math.max(0, Math.min(now, dayStart + DAY_MS) - Math.max(from, dayStart)) / DAY_MS
+    const stakedEth = stakedEthDays[index].value
+    const ethApr = aprDays[index].value
+    const share = shareDays[index].value
+    const estimated = stakedEthDays[index].estimated || aprDays[index].estimated
+    const feesEth = feesPerDay(stakedEth, ethApr, share) * counted
+
+    balanceEth += feesEth
+    if (estimated) estimatedDays += 1
+    if (shareDays[index].estimated) estimatedShareDays += 1
+    points.push({
+      date: new Date(dayStart).toISOString().slice(0, 10),
+      stakedEth,
+      ethApr,
+      ethPaymentShare: share,
+      feesEth,
+      balanceEth,
+      projected: false,
+      estimated,
+    })
+  }
+
+  // The projection holds the latest staked ETH, APR and ETH-paying share flat from now on.
+  const latestStakedEth = stakedEthDays[dayCount - 1].value
+  const latestApr = aprDays[dayCount - 1].value
+  const latestShare = shareDays[dayCount - 1].value
+  const dailyFeesEth = feesPerDay(latestStakedEth, latestApr, latestShare)
+  let projectedEth = balanceEth
+  for (let index = 1; index <= projectionDays; index += 1) {
+    projectedEth += dailyFeesEth
+    points.push({
+      date: new Date(now + index * DAY_MS).toISOString().slice(0, 10),
+      stakedEth: latestStakedEth,
+      ethApr: latestApr,
+      ethPaymentShare: latestShare,
+      feesEth: dailyFeesEth,
+      balanceEth: projectedEth,
+      projected: true,
+      estimated: false,
+    })
+  }
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(now).toISOString(),
+    projectedTo: new Date(now + projectionDays * DAY_MS).toISOString(),
+    assumptions: {
+      networkFee,
+      ethPaymentShare: latestShare,
+      ethPrice,
+      stakedEth: latestStakedEth,
+      ethApr: latestApr,
+    },
+    actual: {
+      balanceEth,
+      balanceUsd: toUsd(balanceEth),
+      days: dayCount,
+      estimatedDays,
+      estimatedShareDays,
+      dailyFeesEth,
+    },
+    projected: {
+      balanceEth: projectedEth,
+      balanceUsd: toUsd(projectedEth),
+      days: projectionDays,
+    },
+    points,
+  }
+}
+
+module.exports = {
+  DAY_MS,
+  DEFAULT_PROJECTION_DAYS,
+  MAX_PROJECTION_DAYS,
+  accrueTreasury,
+  startOfUtcDay,
+}
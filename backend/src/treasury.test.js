@@ -0,0 +1,60 @@
+const assert = require('node:assert/strict')
+const { test } = require('node:test')
+const { DAY_MS, accrueTreasury } = require('./treasury')
+
+const DAY_ONE = Date.parse('2026-01-01T00:00:00Z')
+const point = (dayIndex, value) => ({
+  timestamp: new Date(DAY_ONE + dayIndex * DAY_MS).toISOString(),
+  value,
+})
+
+// 3,650,000 ETH at 1% APR with a 1% fee: 1 ETH of fees per full day.
+const BASE = {
+  stakedEthPoints: [point(0, 3_650_000)],
+  aprPoints: [point(0, 0.01)],
+  networkFee: 0.01,
+  projectionDays: 1,
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9)
+
+test('a start date at midday counts only the rest of the first day', () => {
+  const treasury = accrueTreasury({
+    ...BASE,
+    from: DAY_ONE + DAY_MS / 2,
+    now: DAY_ONE + 2 * DAY_MS,
+  })
+
+  assert.equal(treasury.from, '2026-01-01T12:00:00.000Z')
+  close(treasury.points[0].feesEth, 0.5)
+  close(treasury.actual.balanceEth, 1.5)
+})
+
+test('each day uses the ETH-paying share recorded for it', () => {
+  const treasury = accrueTreasury({
+    ...BASE,
+    sharePoints: [point(0, 0.5), point(1, 1)],
+    ethPaymentShare: 0.25,
+    from: DAY_ONE,
+    now: DAY_ONE + 2 * DAY_MS,
+  })
+
+  assert.deepEqual(
+    treasury.points.map((day) => day.ethPaymentShare),
+    [0.5, 1, 1]
+  )
+  close(treasury.actual.balanceEth, 1.5)
+  assert.equal(treasury.actual.estimatedShareDays, 0)
+})
+
+test('without a recorded share, the fallback share applies to every day', () => {
+  const treasury = accrueTreasury({
+    ...BASE,
+    ethPaymentShare: 0.25,
+    from: DAY_ONE,
+    now: DAY_ONE + 2 * DAY_MS,
+  })
+
+  close(treasury.actual.balanceEth, 0.5)
+  assert.equal(treasury.actual.estimatedShareDays, 2)
+})
@@ -0,0 +1,449 @@
+// Fee and APR math behind the calculator (faq.md, section 6). Shared by the webapp and the
+// backend so the cards, share previews and POST /api/calculate always agree.
+//
+// Example from the FAQ: 5,000,000 ETH staked at $3,000, 4% ETH APR, 1% network fee,
+// SSV at $40 with 60% of a 10M supply staked → $6,000,000 in fees and a 2.5% SSV APR.
+
+/**
+ * @typedef {Object} CalculatorInputs
+ * @property {number} stakedEth  Total ETH staked through SSV validators.
+ * @property {number} ethPrice   ETH price in USD.
+ * @property {number} ethApr     ETH staking APR as a decimal (0.04 = 4%).
+ * @property {number} networkFee SSV network fee as a decimal (0.01 = 1%).
+ * @property {number} ssvPrice   SSV price in USD.
+ * @property {number} stakedSsv  Amount of SSV staked (tokens, not percent).
+ * @property {number} [ethPaymentShare] Share of staked ETH in clusters paying the network fee in
+ *   ETH, as a decimal (default 1). Clusters still paying in SSV add no ETH fees (faq.md, section 5).
+ */
+
+/**
+ * @typedef {Object} CalculatorResult
+ * @property {number|null} totalFeesUsd       Yearly network fees in USD.
+ * @property {number|null} totalFeesEth       Yearly network fees in ETH (the ETH-denominated yield).
+ * @property {number|null} ssvApr             Yearly fees over staked SSV value, as a decimal.
+ * @property {number|null} feeIncomePerSsvEth Yearly ETH earned per staked SSV.
+ * @property {number|null} feeIncomePerSsvUsd Yearly USD value earned per staked SSV.
+ */
+
+export const CALCULATOR_INPUT_KEYS = Object.freeze([
+  'stakedEth',
+  'ethPrice',
+  'ethApr',
+  'networkFee',
+  'ssvPrice',
+  'stakedSsv',
+])
+
+const isFiniteNumber = (value) =>
+  typeof value === 'number' && Number.isFinite(value)
+
+/** Applies a percent delta (e.g. +25) to a baseline; null when the baseline is unknown. */
+export function applyDelta(baseline, deltaPct) {
+  if (!isFiniteNumber(baseline)) return null
+  return baseline * (1 + (isFiniteNumber(deltaPct) ? deltaPct : 0) / 100)
+}
+
+/** Converts a percentage of total supply into a staked SSV amount. */
+export function stakedSsvFromPercent(totalSupply, percent) {
+  if (!isFiniteNumber(totalSupply) || !isFiniteNumber(percent)) return null
+  return (totalSupply * percent) / 100
+}
+
+/** Lists the inputs that are missing or invalid; an empty list means `calculateAccrual` can run. */
+export function validateCalculatorInputs(inputs) {
+  return CALCULATOR_INPUT_KEYS.filter(
+    (key) => !isFiniteNumber(inputs?.[key]) || inputs[key] < 0
+  )
+}
+
+const clampShare = (value) => Math.min(Math.max(value, 0), 1)
+
+/**
+ * Computes yearly fees and SSV staking returns. Any missing input yields nulls for the
+ * figures that depend on it instead of throwing, so partially loaded data still renders.
+ *
+ * @param {Partial<CalculatorInputs>} inputs
+ * @returns {CalculatorResult}
+ */
+export function calculateAccrual(inputs) {
+  const { stakedEth, ethPrice, ethApr, networkFee, ssvPrice, stakedSsv, ethPaymentShare } =
+    inputs ?? {}
+
+  const paymentShare = isFiniteNumber(ethPaymentShare) ? clampShare(ethPaymentShare) : 1
+
+  const totalFeesEth =
+    isFiniteNumber(stakedEth) && isFiniteNumber(ethApr) && isFiniteNumber(networkFee)
+      ? stakedEth * ethApr * networkFee * paymentShare
+      : null
+
+  const totalFeesUsd =
+    totalFeesEth !== null && isFiniteNumber(ethPrice) ? totalFeesEth * ethPrice : null
+
+  const hasStakedSsv = isFiniteNumber(stakedSsv) && stakedSsv > 0
+
+  const feeIncomePerSsvEth =
+    totalFeesEth !== null && hasStakedSsv ? totalFeesEth / stakedSsv : null
+
+  const feeIncomePerSsvUsd =
+    totalFeesUsd !== null && hasStakedSsv ? totalFeesUsd / stakedSsv : null
+
+  const ssvApr =
+    feeIncomePerSsvUsd !== null && isFiniteNumber(ssvPrice) && ssvPrice > 0
+      ? feeIncomePerSsvUsd / ssvPrice
+      : null
+
+  return {
+    totalFeesUsd,
+    totalFeesEth,
+    ssvApr,
+    feeIncomePerSsvEth,
+    feeIncomePerSsvUsd,
+  }
+}
+
+/**
+ * @typedef {Object} ScenarioBaseline
+ * @property {number} ethPrice       ETH price in USD before the slider delta.
+ * @property {number} ssvPrice       SSV price in USD before the slider delta.
+ * @property {number} stakedEth      Staked ETH before the slider delta.
+ * @property {number} ethApr         ETH staking APR as a decimal.
+ * @property {number} networkFee     Network fee baseline as a decimal.
+ * @property {number} ssvTotalSupply SSV total supply, used with `stakedSsvPercent`.
+ * @property {number} [ethPaymentShare] Share of staked ETH paying fees in ETH (see CalculatorInputs).
+ */
+
+/**
+ * Applies a set of slider values (percent deltas plus % staked SSV) to a baseline and runs
+ * `calculateAccrual`, returning the resolved inputs alongside the result.
+ *
+ * @param {Partial<ScenarioBaseline>} baseline
+ * @param {{ ethPriceDeltaPct?: number, ssvPriceDeltaPct?: number, stakedEthDeltaPct?: number, networkFeeDeltaPct?: number, stakedSsvPercent?: number }} inputs
+ * @returns {CalculatorResult & { inputs: Partial<CalculatorInputs> }}
+ */
+export function calculateScenario(baseline, inputs) {
+  const resolved = {
+    stakedEth: applyDelta(baseline?.stakedEth, inputs?.stakedEthDeltaPct),
+    ethPrice: applyDelta(baseline?.ethPrice, inputs?.ethPriceDeltaPct),
+    ethApr: isFiniteNumber(baseline?.ethApr) ? baseline.ethApr : null,
+    networkFee: applyDelta(baseline?.networkFee, inputs?.networkFeeDeltaPct),
+    ssvPrice: applyDelta(baseline?.ssvPrice, inputs?.ssvPriceDeltaPct),
+    stakedSsv: stakedSsvFromPercent(baseline?.ssvTotalSupply, inputs?.stakedSsvPercent),
+    ethPaymentShare: isFiniteNumber(baseline?.ethPaymentShare) ? baseline.ethPaymentShare : 1,
+  }
+
+  return { inputs: resolved, ...calculateAccrual(resolved) }
+}
+
+// How each slider input scales a target metric: fees grow linearly with ETH price, staked ETH
+// and the network fee; the APR additionally falls inversely with SSV price and staked SSV.
+const SOLVER_RELATIONS = {
+  ethPriceDeltaPct: { totalFeesUsd: 'linear', ssvApr: 'linear' },
+  stakedEthDeltaPct: { totalFeesUsd: 'linear', ssvApr: 'linear' },
+  networkFeeDeltaPct: { totalFeesUsd: 'linear', ssvApr: 'linear' },
+  ssvPriceDeltaPct: { ssvApr: 'inverse' },
+  stakedSsvPercent: { ssvApr: 'inverse' },
+}
+
+export const SOLVER_INPUT_KEYS = Object.freeze(Object.keys(SOLVER_RELATIONS))
+
+/**
+ * Solves for the slider value of `free` that makes `metric` hit `target`, holding every other
+ * input fixed. Delta inputs are solved as percent deltas against the baseline, so the result
+ * can be written straight back to the slider.
+ *
+ * @param {Object} problem
+ * @param {Partial<ScenarioBaseline>} problem.baseline
+ * @param {Object} problem.inputs Current slider values (see `calculateScenario`).
+ * @param {'ssvApr'|'totalFeesUsd'} problem.metric
+ * @param {number} problem.target Target in the metric's units (APR as a decimal, fees in USD).
+ * @param {string} problem.free One of SOLVER_INPUT_KEYS.
+ * @returns {{ value: number|null, reason: 'missing-data'|'no-effect'|'unreachable'|null }}
+ */
+export function solveForInput({ baseline, inputs, metric, target, free }) {
+  const relation = SOLVER_RELATIONS[free]?.[metric]
+  if (!relation) return { value: null, reason: 'no-effect' }
+  if (!isFiniteNumber(target) || target <= 0) return { value: null, reason: 'unreachable' }
+
+  const current = calculateScenario(baseline, inputs)[metric]
+  if (!isFiniteNumber(current)) return { value: null, reason: 'missing-data' }
+  if (current <= 0) return { value: null, reason: 'unreachable' }
+
+  const factor = relation === 'linear' ? target / current : current / target
+
+  if (free === 'stakedSsvPercent') {
+    return isFiniteNumber(inputs?.stakedSsvPercent) && inputs.stakedSsvPercent > 0
+      ? { value: inputs.stakedSsvPercent * factor, reason: null }
+      : { value: null, reason: 'unreachable' }
+  }
+
+  const multiplier = 1 + (isFiniteNumber(inputs?.[free]) ? inputs[free] : 0) / 100
+  if (multiplier <= 0) return { value: null, reason: 'unreachable' }
+
+  return { value: (multiplier * factor - 1) * 100, reason: null }
+}
+
+/**
+ * @typedef {Object} SlashingRiskInputs
+ * @property {number} incidentProbability Chance of a protocol-caused loss in a year, as a decimal.
+ * @property {number} expectedLossEth     User losses from one incident, in ETH.
+ * @property {number} slashingCap         Most of the staked SSV value one incident can slash, as a
+ *   decimal. Losses above the cap are not covered by the backstop.
+ */
+
+/**
+ * Prices the backstop role of staked SSV (faq.md, section 7): each year an incident happens with
+ * `incidentProbability`, and staked SSV is slashed to cover its losses up to the cap. The expected
+ * slashing cost comes off the SSV APR. `coverageRatio` is the staked SSV value over the value of
+ * all staked ETH, i.e. how much of the ETH at risk the backstop could cover in full.
+ *
+ * @param {SlashingRiskInputs & Partial<CalculatorInputs> & { ssvApr: number|null }} inputs
+ * @returns {{ stakedSsvValueUsd: number|null, coverageRatio: number|null, slashedPerIncidentUsd: number|null, incidentCoverage: number|null, expectedCostPerSsvUsd: number|null, expectedCostPerSsvEth: number|null, expectedLossRate: number|null, riskAdjustedSsvApr: number|null }}
+ */
+export function calculateSlashingRisk({
+  stakedEth,
+  ethPrice,
+  ssvPrice,
+  stakedSsv,
+  ssvApr,
+  incidentProbability,
+  expectedLossEth,
+  slashingCap,
+}) {
+  const stakedSsvValueUsd =
+    isFiniteNumber(stakedSsv) && isFiniteNumber(ssvPrice) ? stakedSsv * ssvPrice : null
+
+  const ethAtRiskUsd =
+    isFiniteNumber(stakedEth) && isFiniteNumber(ethPrice) ? stakedEth * ethPrice : null
+
+  const coverageRatio =
+    stakedSsvValueUsd !== null && ethAtRiskUsd !== null && ethAtRiskUsd > 0
+      ? stakedSsvValueUsd / ethAtRiskUsd
+      : null
+
+  const lossUsd =
+    isFiniteNumber(expectedLossEth) && isFiniteNumber(ethPrice)
+      ? Math.max(expectedLossEth, 0) * ethPrice
+      : null
+
+  const slashedPerIncidentUsd =
+    lossUsd !== null && stakedSsvValueUsd !== null && isFiniteNumber(slashingCap)
+      ? Math.min(lossUsd, clampShare(slashingCap) * stakedSsvValueUsd)
+      : null
+
+  const incidentCoverage =
+    slashedPerIncidentUsd !== null && lossUsd > 0 ? slashedPerIncidentUsd / lossUsd : null
+
+  const expectedCostUsd =
+    slashedPerIncidentUsd !== null && isFiniteNumber(incidentProbability)
+      ? clampShare(incidentProbability) * slashedPerIncidentUsd
+      : null
+
+  const hasStakedSsv = isFiniteNumber(stakedSsv) && stakedSsv > 0
+
+  const expectedCostPerSsvUsd =
+    expectedCostUsd !== null && hasStakedSsv ? expectedCostUsd / stakedSsv : null
+
+  const expectedCostPerSsvEth =
+    expectedCostPerSsvUsd !== null && isFiniteNumber(ethPrice) && ethPrice > 0
+      ? expectedCostPerSsvUsd / ethPrice
+      : null
+
+  const expectedLossRate =
+    expectedCostUsd !== null && stakedSsvValueUsd > 0 ? expectedCostUsd / stakedSsvValueUsd : null
+
+  return {
+    stakedSsvValueUsd,
+    coverageRatio,
+    slashedPerIncidentUsd,
+    incidentCoverage,
+    expectedCostPerSsvUsd,
+    expectedCostPerSsvEth,
+    expectedLossRate,
+    riskAdjustedSsvApr:
+      isFiniteNumber(ssvApr) && expectedLossRate !== null ? ssvApr - expectedLossRate : null,
+  }
+}
+
+export const ETH_PAYMENT_CURVES = Object.freeze(['linear', 'sCurve'])
+
+export const MAX_MIGRATION_YEARS = 10
+
+/**
+ * @typedef {Object} EthPaymentMigration
+ * @property {number} from   Share paying in ETH at launch, as a decimal.
+ * @property {number} to     Share paying in ETH once the migration completes, as a decimal.
+ * @property {number} years  How long the migration takes (1 to MAX_MIGRATION_YEARS).
+ * @property {'linear'|'sCurve'} curve `sCurve` starts and ends slowly (smoothstep).
+ */
+
+/**
+ * Share of staked ETH paying fees in ETH `elapsedYears` after launch. Holds at `to` once the
+ * migration is over.
+ *
+ * @param {EthPaymentMigration} migration
+ * @param {number} elapsedYears
+ */
+export function ethPaymentShareAt({ from, to, years, curve }, elapsedYears) {
+  if (!isFiniteNumber(from) || !isFiniteNumber(to)) return null
+  const duration = isFiniteNumber(years) && years > 0 ? years : 1
+  const progress = Math.min(Math.max(elapsedYears / duration, 0), 1)
+  const eased = curve === 'sCurve' ? progress * progress * (3 - 2 * progress) : progress
+  return clampShare(from + (to - from) * eased)
+}
+
+// Fees accrue through the year, so a year's share is its monthly average.
+const MIGRATION_SAMPLES_PER_YEAR = 12
+
+/**
+ * Average share paying in ETH during `year` (1 = the first year after launch).
+ *
+ * @param {EthPaymentMigration} migration
+ * @param {number} year
+ */
+export function averageEthPaymentShare(migration, year) {
+  let total = 0
+  for (let sample = 0; sample < MIGRATION_SAMPLES_PER_YEAR; sample += 1) {
+    const share = ethPaymentShareAt(
+      migration,
+      year - 1 + (sample + 0.5) / MIGRATION_SAMPLES_PER_YEAR
+    )
+    if (share === null) return null
+    total += share
+  }
+  return total / MIGRATION_SAMPLES_PER_YEAR
+}
+
+export const EARNINGS_PERIODS = Object.freeze({
+  day: 1 / 365,
+  month: 1 / 12,
+  year: 1,
+})
+
+/**
+ * Projects what a single holder earns for staking `ssvAmount` SSV, assuming their stake is
+ * part of `stakedSsv` and fees are split pro rata.
+ *
+ * @param {{ ssvAmount: number, stakedSsv: number, totalFeesEth: number|null, totalFeesUsd: number|null }} position
+ * @returns {{ poolShare: number|null, exceedsPool: boolean, earnings: Record<'day'|'month'|'year', { eth: number|null, usd: number|null }> }}
+ */
+export function calculatePositionEarnings({
+  ssvAmount,
+  stakedSsv,
+  totalFeesEth,
+  totalFeesUsd,
+}) {
+  const poolShare =
+    isFiniteNumber(ssvAmount) && ssvAmount >= 0 && isFiniteNumber(stakedSsv) && stakedSsv > 0
+      ? ssvAmount / stakedSsv
+      : null
+
+  const earnings = Object.entries(EARNINGS_PERIODS).reduce(
+    (acc, [period, fractionOfYear]) => {
+      acc[period] = {
+        eth:
+          poolShare !== null && isFiniteNumber(totalFeesEth)
+            ? totalFeesEth * poolShare * fractionOfYear
+            : null,
+        usd:
+          poolShare !== null && isFiniteNumber(totalFeesUsd)
+            ? totalFeesUsd * poolShare * fractionOfYear
+            : null,
+      }
+      return acc
+    },
+    {}
+  )
+
+  return {
+    poolShare,
+    exceedsPool: poolShare !== null && poolShare > 1,
+    earnings,
+  }
+}
+
+export const MAX_PROJECTION_YEARS = 10
+
+const grow = (value, rate, periods) =>
+  isFiniteNumber(value) ? value * Math.pow(1 + (isFiniteNumber(rate) ? rate : 0), periods) : null
+
+/**
+ * Projects the calculator year by year. Year 1 is the scenario as configured; each later year
+ * applies the annual growth rates once more, and the staked SSV share ramps linearly from
+ * `stakedSsvPercent` to `targetStakedSsvPercent` by the final year.
+ *
+ * Per-holder columns follow one SSV staked at the start. With `restake`, the ETH earned each
+ * year is sold for SSV at that year's price and staked, so holdings compound. A single holder is
+ * assumed too small to move the pool totals.
+ *
+ * @param {Object} projection
+ * @param {Omit<CalculatorInputs, 'stakedSsv'> & { ssvTotalSupply: number }} projection.base
+ * @param {number} projection.stakedSsvPercent       Staked share of supply in year 1 (0–100).
+ * @param {number} [projection.targetStakedSsvPercent] Staked share reached in the final year (0–100).
+ * @param {number} projection.years                  1 to MAX_PROJECTION_YEARS.
+ * @param {{ stakedEth?: number, ethPrice?: number, ssvPrice?: number }} [projection.growth] Annual rates as decimals.
+ * @param {boolean} [projection.restake]
+ * @param {EthPaymentMigration} [projection.ethPaymentMigration] Per-year ETH payment share;
+ *   without it every year uses `base.ethPaymentShare`.
+ */
+export function projectAccrual({
+  base,
+  stakedSsvPercent,
+  targetStakedSsvPercent = stakedSsvPercent,
+  years,
+  growth = {},
+  restake = false,
+  ethPaymentMigration = null,
+}) {
+  const yearCount = Math.min(
+    Math.max(Math.round(isFiniteNumber(years) ? years : 1), 1),
+    MAX_PROJECTION_YEARS
+  )
+
+  const rows = []
+  let holdings = 1
+  let cumulativeEthPerSsv = 0
+
+  for (let index = 0; index < yearCount; index += 1) {
+    const rampProgress = yearCount > 1 ? index / (yearCount - 1) : 0
+    const yearStakedSsvPercent =
+      isFiniteNumber(stakedSsvPercent) && isFiniteNumber(targetStakedSsvPercent)
+        ? stakedSsvPercent + (targetStakedSsvPercent - stakedSsvPercent) * rampProgress
+        : null
+
+    const inputs = {
+      stakedEth: grow(base.stakedEth, growth.stakedEth, index),
+      ethPrice: grow(base.ethPrice, growth.ethPrice, index),
+      ethApr: base.ethApr,
+      networkFee: base.networkFee,
+      ssvPrice: grow(base.ssvPrice, growth.ssvPrice, index),
+      stakedSsv: stakedSsvFromPercent(base.ssvTotalSupply, yearStakedSsvPercent),
+      ethPaymentShare: ethPaymentMigration
+        ? averageEthPaymentShare(ethPaymentMigration, index + 1)
+        : base.ethPaymentShare,
+    }
+    const result = calculateAccrual(inputs)
+
+    const ethEarnedPerSsv =
+      result.feeIncomePerSsvEth !== null ? holdings * result.feeIncomePerSsvEth : null
+    const holdingsAtStart = holdings
+
+    if (ethEarnedPerSsv !== null) {
+      cumulativeEthPerSsv += ethEarnedPerSsv
+      if (restake && inputs.ethPrice > 0 && inputs.ssvPrice > 0) {
+        holdings += (ethEarnedPerSsv * inputs.ethPrice) / inputs.ssvPrice
+      }
+    }
+
+    rows.push({
+      year: index + 1,
+      ...inputs,
+      stakedSsvPercent: yearStakedSsvPercent,
+      ...result,
+      ssvHoldings: holdingsAtStart,
+      ethEarnedPerSsv,
+      cumulativeEthPerSsv: ethEarnedPerSsv !== null ? cumulativeEthPerSsv : null,
+    })
+  }
+
+  return rows
+}
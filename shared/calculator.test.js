@@ -0,0 +1,300 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import {
+  SOLVER_INPUT_KEYS,
+  calculateAccrual,
+  calculatePositionEarnings,
+  calculateScenario,
+  calculateSlashingRisk,
+  projectAccrual,
+  solveForInput,
+  stakedSsvFromPercent,
+} from './calculator.js'
+
+const assertClose = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${expected}, got ${actual}`)
+
+// The worked example in faq.md, section 6.
+const FAQ_EXAMPLE = {
+  stakedEth: 5_000_000,
+  ethPrice: 3000,
+  ethApr: 0.04,
+  networkFee: 0.01,
+  ssvPrice: 40,
+  stakedSsv: stakedSsvFromPercent(10_000_000, 60),
+}
+
+test('reproduces the faq example: 2.5% SSV APR on $6M of yearly fees', () => {
+  const result = calculateAccrual(FAQ_EXAMPLE)
+
+  assert.equal(result.totalFeesUsd, 6_000_000)
+  assert.equal(result.totalFeesEth, 2000)
+  assertClose(result.ssvApr, 0.025)
+})
+
+test('only ETH-paying clusters add ETH fees', () => {
+  const result = calculateAccrual({ ...FAQ_EXAMPLE, ethPaymentShare: 0.5 })
+
+  assert.equal(result.totalFeesEth, 1000)
+  assertClose(result.ssvApr, 0.0125)
+})
+
+test('a position earns its pro-rata share of fees per day, month and year', () => {
+  const { poolShare, exceedsPool, earnings } = calculatePositionEarnings({
+    ssvAmount: 600,
+    stakedSsv: 6_000_000,
+    totalFeesEth: 2000,
+    totalFeesUsd: 6_000_000,
+  })
+
+  assert.equal(poolShare, 0.0001)
+  assert.equal(exceedsPool, false)
+  assertClose(earnings.year.eth, 0.2)
+  assertClose(earnings.year.usd, 600)
+  assertClose(earnings.month.usd, 50)
+  assertClose(earnings.day.eth, 0.2 / 365)
+})
+
+test('a position larger than the staked pool is flagged', () => {
+  const { poolShare, exceedsPool } = calculatePositionEarnings({
+    ssvAmount: 2000,
+    stakedSsv: 1000,
+    totalFeesEth: 1,
+    totalFeesUsd: 1,
+  })
+
+  assert.equal(poolShare, 2)
+  assert.equal(exceedsPool, true)
+})
+
+test('a position without a staked pool earns nothing it can report', () => {
+  const { poolShare, earnings } = calculatePositionEarnings({
+    ssvAmount: 100,
+    stakedSsv: 0,
+    totalFeesEth: 2000,
+    totalFeesUsd: 6_000_000,
+  })
+
+  assert.equal(poolShare, null)
+  assert.deepEqual(earnings.year, { eth: null, usd: null })
+})
+
+const PROJECTION_BASE = {
+  stakedEth: 5_000_000,
+  ethPrice: 3000,
+  ethApr: 0.04,
+  networkFee: 0.01,
+  ssvPrice: 40,
+  ssvTotalSupply: 10_000_000,
+}
+
+test('the staked SSV share ramps linearly to the target by the final year', () => {
+  const rows = projectAccrual({
+    base: PROJECTION_BASE,
+    stakedSsvPercent: 40,
+    targetStakedSsvPercent: 80,
+    years: 5,
+  })
+
+  assert.deepEqual(
+    rows.map((row) => row.stakedSsvPercent),
+    [40, 50, 60, 70, 80]
+  )
+  assert.equal(rows[2].stakedSsv, 6_000_000)
+  assertClose(rows[2].ssvApr, 0.025)
+})
+
+test('growth rates compound once per year after the first', () => {
+  const rows = projectAccrual({
+    base: PROJECTION_BASE,
+    stakedSsvPercent: 60,
+    years: 3,
+    growth: { stakedEth: 0.1, ethPrice: -0.5 },
+  })
+
+  assert.equal(rows[0].stakedEth, 5_000_000)
+  assertClose(rows[2].stakedEth, 5_000_000 * 1.21)
+  assertClose(rows[2].ethPrice, 750)
+  assert.equal(rows[2].ssvPrice, 40)
+})
+
+// The faq example pays 1/3000 ETH per staked SSV a year: $1, or 2.5% of a $40 SSV.
+test("restaking sells each year's ETH for SSV, so holdings compound at the SSV APR", () => {
+  const rows = projectAccrual({
+    base: PROJECTION_BASE,
+    stakedSsvPercent: 60,
+    years: 3,
+    restake: true,
+  })
+
+  assert.deepEqual(
+    rows.map((row) => row.ssvHoldings),
+    [1, 1.025, 1.025 ** 2]
+  )
+  assertClose(rows[2].ethEarnedPerSsv, 1.025 ** 2 / 3000)
+  assertClose(rows[2].cumulativeEthPerSsv, (1 + 1.025 + 1.025 ** 2) / 3000)
+})
+
+test('without restaking, holdings stay at one SSV', () => {
+  const rows = projectAccrual({
+    base: PROJECTION_BASE,
+    stakedSsvPercent: 60,
+    years: 3,
+  })
+
+  assert.deepEqual(
+    rows.map((row) => row.ssvHoldings),
+    [1, 1, 1]
+  )
+  assertClose(rows[2].cumulativeEthPerSsv, 3 / 3000)
+})
+
+const SCENARIO_BASELINE = { ...PROJECTION_BASE }
+const SCENARIO_INPUTS = {
+  ethPriceDeltaPct: 10,
+  ssvPriceDeltaPct: 0,
+  stakedEthDeltaPct: -20,
+  networkFeeDeltaPct: 0,
+  stakedSsvPercent: 60,
+}
+
+for (const free of SOLVER_INPUT_KEYS) {
+  test(`solving ${free} for a 5% SSV APR reaches the target`, () => {
+    const { value, reason } = solveForInput({
+      baseline: SCENARIO_BASELINE,
+      inputs: SCENARIO_INPUTS,
+      metric: 'ssvApr',
+      target: 0.05,
+      free,
+    })
+
+    assert.equal(reason, null)
+    const solved = calculateScenario(SCENARIO_BASELINE, { ...SCENARIO_INPUTS, [free]: value })
+    assertClose(solved.ssvApr, 0.05)
+  })
+}
+
+test('solving the ETH price for a yearly fee target reaches it', () => {
+  const { value } = solveForInput({
+    baseline: SCENARIO_BASELINE,
+    inputs: SCENARIO_INPUTS,
+    metric: 'totalFeesUsd',
+    target: 9_000_000,
+    free: 'ethPriceDeltaPct',
+  })
+
+  const solved = calculateScenario(SCENARIO_BASELINE, {
+    ...SCENARIO_INPUTS,
+    ethPriceDeltaPct: value,
+  })
+  assertClose(solved.totalFeesUsd, 9_000_000, 1e-6)
+})
+
+test('an input that does not move the metric has no effect', () => {
+  for (const free of ['ssvPriceDeltaPct', 'stakedSsvPercent']) {
+    assert.deepEqual(
+      solveForInput({
+        baseline: SCENARIO_BASELINE,
+        inputs: SCENARIO_INPUTS,
+        metric: 'totalFeesUsd',
+        target: 9_000_000,
+        free,
+      }),
+      { value: null, reason: 'no-effect' }
+    )
+  }
+})
+
+test('targets that no input value can reach are unreachable', () => {
+  const solve = (overrides) =>
+    solveForInput({
+      baseline: SCENARIO_BASELINE,
+      inputs: SCENARIO_INPUTS,
+      metric: 'ssvApr',
+      target: 0.05,
+      free: 'ethPriceDeltaPct',
+      ...overrides,
+    })
+
+  assert.equal(solve({ target: 0 }).reason, 'unreachable')
+  assert.equal(solve({ target: -0.01 }).reason, 'unreachable')
+  // A -100% ETH price leaves no fees to scale.
+  assert.equal(
+    solve({ inputs: { ...SCENARIO_INPUTS, ethPriceDeltaPct: -100 } }).reason,
+    'unreachable'
+  )
+})
+
+test('the solver reports missing data instead of guessing', () => {
+  assert.deepEqual(
+    solveForInput({
+      baseline: { ...SCENARIO_BASELINE, ethPrice: undefined },
+      inputs: SCENARIO_INPUTS,
+      metric: 'ssvApr',
+      target: 0.05,
+      free: 'stakedEthDeltaPct',
+    }),
+    { value: null, reason: 'missing-data' }
+  )
+})
+
+// The faq example with a 1% yearly incident probability, a 1,000 ETH loss per incident and a 10%
+// slashing cap, checked against the faq.md section 7 formulas.
+const SLASHING_BASE = {
+  stakedEth: FAQ_EXAMPLE.stakedEth,
+  ethPrice: FAQ_EXAMPLE.ethPrice,
+  ssvPrice: FAQ_EXAMPLE.ssvPrice,
+  stakedSsv: FAQ_EXAMPLE.stakedSsv,
+  ssvApr: 0.025,
+  incidentProbability: 0.01,
+  expectedLossEth: 1000,
+  slashingCap: 0.1,
+}
+
+test('slashing risk follows the faq formulas while the loss is under the cap', () => {
+  const stakedSsvValueUsd = 6_000_000 * 40
+  const slashedPerIncidentUsd = Math.min(1000 * 3000, 0.1 * stakedSsvValueUsd)
+  const result = calculateSlashingRisk(SLASHING_BASE)
+
+  assert.equal(result.stakedSsvValueUsd, stakedSsvValueUsd)
+  assertClose(result.coverageRatio, stakedSsvValueUsd / (5_000_000 * 3000))
+  assert.equal(result.slashedPerIncidentUsd, 3_000_000)
+  assert.equal(result.incidentCoverage, 1)
+  assertClose(result.expectedCostPerSsvUsd, (0.01 * slashedPerIncidentUsd) / 6_000_000)
+  assertClose(result.riskAdjustedSsvApr, 0.025 - (0.01 * slashedPerIncidentUsd) / stakedSsvValueUsd)
+  assertClose(result.riskAdjustedSsvApr, 0.024875)
+})
+
+test('the slashing cap limits what one incident takes from staked SSV', () => {
+  // A 20,000 ETH ($60M) loss against a $24M cap.
+  const result = calculateSlashingRisk({ ...SLASHING_BASE, expectedLossEth: 20_000 })
+
+  assert.equal(result.slashedPerIncidentUsd, 24_000_000)
+  assertClose(result.incidentCoverage, 0.4)
+  assertClose(result.expectedLossRate, 0.001)
+  assertClose(result.riskAdjustedSsvApr, 0.024)
+})
+
+test('the slashing cap and incident probability are clamped to [0, 1]', () => {
+  const result = calculateSlashingRisk({
+    ...SLASHING_BASE,
+    expectedLossEth: 1_000_000,
+    slashingCap: 1.5,
+    incidentProbability: 2,
+  })
+
+  assert.equal(result.slashedPerIncidentUsd, result.stakedSsvValueUsd)
+  assertClose(result.expectedLossRate, 1)
+  assert.equal(
+    calculateSlashingRisk({ ...SLASHING_BASE, slashingCap: -1 }).slashedPerIncidentUsd,
+    0
+  )
+})
+
+test('slashing risk has no per-SSV figures without staked SSV', () => {
+  const result = calculateSlashingRisk({ ...SLASHING_BASE, stakedSsv: 0 })
+
+  assert.equal(result.coverageRatio, 0)
+  assert.equal(result.expectedCostPerSsvUsd, null)
+  assert.equal(result.riskAdjustedSsvApr, null)
+})
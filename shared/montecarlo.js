@@ -0,0 +1,158 @@
+// Monte Carlo sampling over the calculator inputs. Every draw goes through `calculateAccrual`,
+// so the distributions describe exactly what the cards would show for those inputs.
+
+import { calculateAccrual, stakedSsvFromPercent } from './calculator.js'
+
+export const DISTRIBUTION_TYPES = Object.freeze(['fixed', 'normal', 'lognormal', 'uniform'])
+
+export const MONTE_CARLO_INPUT_KEYS = Object.freeze([
+  'ethPrice',
+  'ethApr',
+  'stakedEth',
+  'ssvPrice',
+  'stakedSsvPercent',
+  'networkFee',
+])
+
+export const MAX_MONTE_CARLO_DRAWS = 100000
+
+const HISTOGRAM_BINS = 30
+
+/**
+ * @typedef {Object} InputDistribution
+ * @property {'fixed'|'normal'|'lognormal'|'uniform'} type
+ * @property {number} spread Relative width around the base value, as a decimal (0.2 = 20%).
+ *   normal: standard deviation; lognormal: sigma of the log; uniform: ± half-width.
+ */
+
+const isFiniteNumber = (value) =>
+  typeof value === 'number' && Number.isFinite(value)
+
+/** Seeded PRNG (mulberry32): the same seed always yields the same sequence in [0, 1). */
+export function createRandom(seed) {
+  let state = (Number(seed) >>> 0) || 0x9e3779b9
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Box–Muller; 1 - random() keeps the log argument away from zero.
+const standardNormal = (random) =>
+  Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random())
+
+/** Draws one value centred on `base`. Negative draws are floored at zero. */
+export function sampleDistribution(base, distribution, random) {
+  if (!isFiniteNumber(base)) return null
+  const spread = isFiniteNumber(distribution?.spread) ? Math.max(distribution.spread, 0) : 0
+
+  switch (distribution?.type) {
+    case 'normal':
+      return Math.max(base * (1 + spread * standardNormal(random)), 0)
+    case 'lognormal':
+      // Median stays at `base`; the mean drifts up by exp(sigma² / 2).
+      return base * Math.exp(spread * standardNormal(random))
+    case 'uniform':
+      return Math.max(base * (1 + spread * (2 * random() - 1)), 0)
+    default:
+      return base
+  }
+}
+
+/** Linear-interpolated quantile of an ascending array. */
+export function quantile(sorted, q) {
+  if (sorted.length === 0) return null
+  const position = (sorted.length - 1) * q
+  const lower = Math.floor(position)
+  const upper = Math.ceil(position)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+}
+
+// Bins span P1–P99 so a long lognormal tail does not flatten the chart; values beyond that
+// land in the edge bins.
+function summarize(values) {
+  const sorted = Float64Array.from(values).sort()
+  if (sorted.length === 0) {
+    return { count: 0, mean: null, p10: null, p50: null, p90: null, histogram: [] }
+  }
+
+  const low = quantile(sorted, 0.01)
+  const high = quantile(sorted, 0.99)
+  const width = (high - low) / HISTOGRAM_BINS || 1
+  const counts = new Array(HISTOGRAM_BINS).fill(0)
+  let sum = 0
+
+  for (const value of sorted) {
+    sum += value
+    const bin = Math.min(Math.max(Math.floor((value - low) / width), 0), HISTOGRAM_BINS - 1)
+    counts[bin] += 1
+  }
+
+  return {
+    count: sorted.length,
+    mean: sum / sorted.length,
+    p10: quantile(sorted, 0.1),
+    p50: quantile(sorted, 0.5),
+    p90: quantile(sorted, 0.9),
+    histogram: counts.map((count, index) => ({
+      from: low + index * width,
+      to: low + (index + 1) * width,
+      count,
+    })),
+  }
+}
+
+/**
+ * Runs `draws` samples of the calculator. `base` holds the point-estimate inputs (the same ones
+ * the cards use, with `stakedSsvPercent` and `ssvTotalSupply` instead of a staked amount);
+ * `distributions` maps input keys to an InputDistribution, and missing keys stay fixed.
+ *
+ * @param {Object} simulation
+ * @param {{ ethPrice: number, ethApr: number, stakedEth: number, ssvPrice: number, stakedSsvPercent: number, networkFee: number, ssvTotalSupply: number, ethPaymentShare?: number }} simulation.base
+ * @param {Partial<Record<string, InputDistribution>>} [simulation.distributions]
+ * @param {number} simulation.draws
+ * @param {number} simulation.seed
+ */
+export function runMonteCarlo({ base, distributions = {}, draws, seed }) {
+  const drawCount = Math.min(
+    Math.max(Math.round(isFiniteNumber(draws) ? draws : 0), 1),
+    MAX_MONTE_CARLO_DRAWS
+  )
+  const random = createRandom(seed)
+  const fees = []
+  const aprs = []
+
+  for (let index = 0; index < drawCount; index += 1) {
+    // Keys are sampled in a fixed order so a seed reproduces the same draws.
+    const sample = MONTE_CARLO_INPUT_KEYS.reduce((acc, key) => {
+      acc[key] = sampleDistribution(base[key], distributions[key], random)
+      return acc
+    }, {})
+
+    const result = calculateAccrual({
+      stakedEth: sample.stakedEth,
+      ethPrice: sample.ethPrice,
+      ethApr: sample.ethApr,
+      networkFee: sample.networkFee,
+      ssvPrice: sample.ssvPrice,
+      stakedSsv: stakedSsvFromPercent(
+        base.ssvTotalSupply,
+        isFiniteNumber(sample.stakedSsvPercent) ? Math.min(sample.stakedSsvPercent, 100) : null
+      ),
+      ethPaymentShare: base.ethPaymentShare,
+    })
+
+    if (result.totalFeesUsd !== null) fees.push(result.totalFeesUsd)
+    if (result.ssvApr !== null) aprs.push(result.ssvApr)
+  }
+
+  return {
+    seed,
+    draws: drawCount,
+    totalFeesUsd: summarize(fees),
+    ssvApr: summarize(aprs),
+  }
+}
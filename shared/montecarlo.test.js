@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { createRandom, runMonteCarlo, sampleDistribution } from './montecarlo.js'
+
+// The faq example, with `stakedSsvPercent` and supply in place of a staked amount.
+const BASE = {
+  ethPrice: 3000,
+  ethApr: 0.04,
+  stakedEth: 5_000_000,
+  ssvPrice: 40,
+  stakedSsvPercent: 60,
+  networkFee: 0.01,
+  ssvTotalSupply: 10_000_000,
+}
+
+const DISTRIBUTIONS = {
+  ethPrice: { type: 'lognormal', spread: 0.4 },
+  ethApr: { type: 'normal', spread: 0.1 },
+  ssvPrice: { type: 'uniform', spread: 0.5 },
+}
+
+const percentiles = ({ p10, p50, p90 }) => ({ p10, p50, p90 })
+
+test('the same seed reproduces identical P10/P50/P90', () => {
+  const first = runMonteCarlo({ base: BASE, distributions: DISTRIBUTIONS, draws: 2000, seed: 42 })
+  const second = runMonteCarlo({ base: BASE, distributions: DISTRIBUTIONS, draws: 2000, seed: 42 })
+
+  assert.deepEqual(percentiles(first.ssvApr), percentiles(second.ssvApr))
+  assert.deepEqual(percentiles(first.totalFeesUsd), percentiles(second.totalFeesUsd))
+})
+
+test('a different seed gives different percentiles', () => {
+  const first = runMonteCarlo({ base: BASE, distributions: DISTRIBUTIONS, draws: 2000, seed: 42 })
+  const second = runMonteCarlo({ base: BASE, distributions: DISTRIBUTIONS, draws: 2000, seed: 7 })
+
+  assert.notDeepEqual(percentiles(first.ssvApr), percentiles(second.ssvApr))
+})
+
+test('without distributions every draw is the point estimate', () => {
+  const { ssvApr } = runMonteCarlo({ base: BASE, draws: 100, seed: 1 })
+
+  assert.ok(Math.abs(ssvApr.p10 - 0.025) < 1e-12)
+  assert.ok(Math.abs(ssvApr.p90 - 0.025) < 1e-12)
+})
+
+test('uniform samples stay within base ± spread', () => {
+  const random = createRandom(3)
+  for (let index = 0; index < 5000; index += 1) {
+    const value = sampleDistribution(100, { type: 'uniform', spread: 0.25 }, random)
+    assert.ok(value >= 75 && value <= 125, `${value} is outside [75, 125]`)
+  }
+})
+
+test('normal samples are floored at zero and lognormal samples stay positive', () => {
+  const random = createRandom(5)
+  for (let index = 0; index < 5000; index += 1) {
+    assert.ok(sampleDistribution(100, { type: 'normal', spread: 2 }, random) >= 0)
+    assert.ok(sampleDistribution(100, { type: 'lognormal', spread: 2 }, random) > 0)
+  }
+})
+
+test('a fixed or missing distribution returns the base, and no base returns null', () => {
+  const random = createRandom(9)
+
+  assert.equal(sampleDistribution(100, { type: 'fixed', spread: 0.5 }, random), 100)
+  assert.equal(sampleDistribution(100, undefined, random), 100)
+  assert.equal(sampleDistribution(null, { type: 'normal', spread: 0.5 }, random), null)
+})
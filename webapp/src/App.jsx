@@ -2,12 +2,46 @@ import { useCallback, useEffect, useMemo, useState } from 'react'
 import ReactMarkdown from 'react-markdown'
 import remarkGfm from 'remark-gfm'
 import './App.css'
-import { fetchMarketSnapshot } from './api'
+import { buildSharePageUrl, fetchNetworks, subscribeMarketSnapshot } from './api'
+import ComparisonPanel from './components/ComparisonPanel'
+import EarningsEstimator from './components/EarningsEstimator'
+import MonteCarloPanel from './components/MonteCarloPanel'
+import OperatorsPanel from './components/OperatorsPanel'
+import ProjectionPanel from './components/ProjectionPanel'
+import RiskPanel from './components/RiskPanel'
+import ScenarioPanel from './components/ScenarioPanel'
+import SensitivityPanel from './components/SensitivityPanel'
+import SolverPanel from './components/SolverPanel'
+import SliderControl from './components/SliderControl'
+import TreasuryPanel from './components/TreasuryPanel'
+import {
+  buildScenarioUrl,
+  captureBaseline,
+  encodeScenarioId,
+  loadSavedScenarios,
+  loadSelectedNetwork,
+  persistSavedScenarios,
+  persistSelectedNetwork,
+  readScenarioFromSearch,
+  writeScenarioToUrl,
+} from './scenario'
 import FullLogoWhite from './assets/full_logo_white.svg'
 import faqMarkdown from '../../faq.md?raw'
-
-const TWITTER_SHARE_PAGE_URL =
-  'https://your-deployed-domain.example/ssv-apr-share.html'
+import {
+  formatCurrency,
+  formatDeltaLabel,
+  formatEthAmount,
+  formatPercent,
+  formatTokenAmount,
+  formatValueWithDelta,
+} from './format'
+import {
+  MAX_MIGRATION_YEARS,
+  applyDelta,
+  averageEthPaymentShare,
+  calculateAccrual,
+  stakedSsvFromPercent,
+} from '../../shared/calculator.js'
 
 const resolveClientRefreshInterval = () => {
   const fallback = 5 * 60 * 1000
@@ -21,28 +55,11 @@ const resolveClientRefreshInterval = () => {
 
 const MARKET_REFRESH_INTERVAL_MS = resolveClientRefreshInterval()
 
-const formatCurrency = (value) =>
-  new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD',
-    maximumFractionDigits: 0,
-  }).format(value)
-
-const formatNumber = (value) =>
-  new Intl.NumberFormat('en-US', {
-    maximumFractionDigits: 0,
-  }).format(value)
-
-const formatPercent = (value) =>
-  `${value.toLocaleString(undefined, {
-    minimumFractionDigits: 1,
-    maximumFractionDigits: 1,
-  })}%`
-
 const DEFAULT_SLIDER_DELTA_RANGES = Object.freeze({
   ethPrice: { min: -100, max: 200 },
   ssvPrice: { min: -100, max: 2000 },
   stakedEth: { min: -25, max: 200 },
+  networkFee: { min: -50, max: 150 },
 })
 
 const readEnvNumber = (key) => {
@@ -102,98 +119,135 @@ const INITIAL_SLIDER_DELTA_RANGES = {
     'VITE_STAKED_ETH_DELTA_MIN',
     'VITE_STAKED_ETH_DELTA_MAX'
   ),
+  networkFee: resolveInitialRange(
+    DEFAULT_SLIDER_DELTA_RANGES.networkFee,
+    'VITE_NETWORK_FEE_DELTA_MIN',
+    'VITE_NETWORK_FEE_DELTA_MAX'
+  ),
 }
 
 const cloneRangeSet = (ranges) => ({
   ethPrice: { ...ranges.ethPrice },
   ssvPrice: { ...ranges.ssvPrice },
   stakedEth: { ...ranges.stakedEth },
+  networkFee: { ...ranges.networkFee },
 })
 
-const SliderControl = ({
-  label,
-  value,
-  onChange,
-  min,
-  max,
-  step,
-  formatter,
-  hint,
-  disabled = false,
-  valueLabel,
-  minLabel,
-  maxLabel,
-  onReset,
-  canReset = true,
-}) => (
-  <div className="control-card">
-    <div className="control-header">
-      <div className="control-meta">
-        <span className="control-label">{label}</span>
-        <span className="control-value">
-          {valueLabel ??
-            (formatter && value !== undefined ? formatter(value) : value)}
-        </span>
-      </div>
-      {onReset ? (
-        <button
-          type="button"
-          className="control-reset"
-          onClick={onReset}
-          disabled={!canReset}
-        >
-          Reset
-        </button>
-      ) : null}
-    </div>
-    {hint ? <p className="control-hint">{hint}</p> : null}
-    <input
-      type="range"
-      min={min}
-      max={max}
-      step={step}
-      value={value}
-      onChange={(event) => {
-        if (onChange) {
-          onChange(Number(event.target.value))
-        }
-      }}
-      aria-label={label}
-      disabled={disabled}
-      className={disabled ? 'disabled' : undefined}
-    />
-    <div className="control-range">
-      <span>
-        {minLabel ??
-          (formatter && min !== undefined ? formatter(min) : String(min))}
-      </span>
-      <span>
-        {maxLabel ??
-          (formatter && max !== undefined ? formatter(max) : String(max))}
-      </span>
-    </div>
-  </div>
-)
-
-const StaticControl = ({ label, value, hint }) => (
+const SelectorControl = ({ label, value, hint, options, selected, onSelect }) => (
   <div className="control-card read-only">
     <div className="control-header">
       <span className="control-label">{label}</span>
       <span className="control-value">{value}</span>
     </div>
     {hint ? <p className="control-hint">{hint}</p> : null}
+    {options?.length ? (
+      <div className="control-options" role="radiogroup" aria-label={label}>
+        {options.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            role="radio"
+            aria-checked={option.value === selected}
+            className={`control-option${
+              option.value === selected ? ' control-option--active' : ''
+            }`}
+            onClick={() => onSelect?.(option.value)}
+            disabled={option.disabled}
+          >
+            <span className="control-option-label">{option.label}</span>
+            {option.detail ? (
+              <span className="control-option-detail">{option.detail}</span>
+            ) : null}
+          </button>
+        ))}
+      </div>
+    ) : null}
   </div>
 )
 
-const computeAdjustedValue = (baseline, deltaPct) => {
-  if (typeof baseline !== 'number') return null
-  return baseline * (1 + deltaPct / 100)
+const ETH_APR_WINDOWS = [
+  { key: 'today', label: 'Today', description: "Latest day's" },
+  { key: '7d', label: '7d', description: 'Average 7-day' },
+  { key: '31d', label: '31d', description: 'Average 31-day' },
+  { key: '365d', label: '365d', description: 'Average 365-day' },
+]
+
+const DEFAULT_ETH_APR_WINDOW = '31d'
+
+const readAprWindows = (stakingApr) =>
+  ETH_APR_WINDOWS.reduce((acc, { key }) => {
+    const aprWindow = stakingApr?.windows?.[key]
+    acc[key] =
+      typeof aprWindow?.value === 'number' && Number.isFinite(aprWindow.value)
+        ? {
+            percent: aprWindow.value * 100,
+            partial:
+              typeof aprWindow.daysCovered === 'number' &&
+              typeof aprWindow.daysRequired === 'number' &&
+              aprWindow.daysCovered < aprWindow.daysRequired,
+          }
+        : null
+    return acc
+  }, {})
+
+const QUALITY_LABELS = {
+  ethPrice: 'ETH price',
+  ssvPrice: 'SSV price',
+  stakingApr: 'ETH APR',
+  stakedEth: 'Staked ETH',
+}
+
+// Turns the backend's per-metric quality entry into a user-facing warning (null when fresh).
+const describeQualityIssue = (metric, entry) => {
+  if (!entry || entry.status === 'fresh') return null
+  const label = QUALITY_LABELS[metric] ?? metric
+  if (entry.status === 'suspect') {
+    return `${label}: the latest reading was rejected as suspect (${entry.reason}). Showing the last accepted value.`
+  }
+  return entry.updatedAt
+    ? `${label} is stale: last updated ${new Date(entry.updatedAt).toLocaleString()}.`
+    : `${label} has not been fetched yet.`
 }
 
 const NETWORK_FEE_BASELINE = 0.01
 
+const normalizeNetworkFeeBaseline = (value, fallback) =>
+  typeof value === 'number' && Number.isFinite(value) && value > 0 && value <= 1
+    ? value
+    : fallback
+
 const clamp = (value, min, max) => Math.min(Math.max(value, min), max)
 
+const clampNumber = (value, min, max, fallback) =>
+  typeof value === 'number' && Number.isFinite(value) ? clamp(value, min, max) : fallback
+
+const ETH_PAYMENT_MIGRATION_OPTIONS = [
+  { value: 'none', label: 'None', detail: 'Fixed share' },
+  { value: 'linear', label: 'Linear', detail: 'Steady pace' },
+  { value: 'sCurve', label: 'S-curve', detail: 'Slow start and end' },
+]
+
+// Incentivized Mainnet rewards only ETH-paying clusters, so migrations default to reaching 100%.
+const DEFAULT_ETH_PAYMENT_MIGRATION = { targetPercent: 100, years: 2 }
+
+const normalizeEthPaymentMigration = (migration) =>
+  migration &&
+  migration.curve !== 'none' &&
+  ETH_PAYMENT_MIGRATION_OPTIONS.some(({ value }) => value === migration.curve)
+    ? {
+        curve: migration.curve,
+        targetPercent: clampNumber(
+          migration.targetPercent,
+          0,
+          100,
+          DEFAULT_ETH_PAYMENT_MIGRATION.targetPercent
+        ),
+        years: Math.round(
+          clampNumber(migration.years, 1, MAX_MIGRATION_YEARS, DEFAULT_ETH_PAYMENT_MIGRATION.years)
+        ),
+      }
+    : null
+
 const resolveStakedSsvBaselinePercent = () => {
   const fallback = 25
   const envValue = readEnvNumber('VITE_STAKED_SSV_BASELINE_PERCENT')
@@ -204,222 +258,307 @@ const resolveStakedSsvBaselinePercent = () => {
 
 const STAKED_SSV_BASELINE = resolveStakedSsvBaselinePercent()
 
-const formatDeltaLabel = (value) => {
-  if (typeof value !== 'number' || !Number.isFinite(value)) return '—'
-  const formatted = value.toLocaleString(undefined, {
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 2,
-  })
-  const sign = value > 0 ? '+' : ''
-  return `${sign}${formatted}%`
-}
-
-const formatValueWithDelta = (value, deltaPct, formatter) => {
-  if (typeof value !== 'number' || !Number.isFinite(value)) {
-    return null
-  }
-
-  const format = formatter ?? ((input) => input)
-  const formattedValue = format(value)
-
-  if (typeof deltaPct !== 'number' || !Number.isFinite(deltaPct) || deltaPct === 0) {
-    return formattedValue
-  }
-
-  const sign = deltaPct > 0 ? '+' : ''
-  return `${formattedValue} (${sign}${deltaPct.toFixed(0)}%)`
-}
-
-const formatEthAmount = (value) => `${formatNumber(Math.round(value))} ETH`
-const formatTokenAmount = (value, symbol) => {
-  if (typeof value !== 'number' || !Number.isFinite(value)) {
-    return `— ${symbol}`
-  }
-
-  return `${new Intl.NumberFormat('en-US', {
-    maximumFractionDigits: 2,
-  }).format(value)} ${symbol}`
-}
+const normalizeStakedSsvBaseline = (value, fallback) =>
+  typeof value === 'number' && Number.isFinite(value)
+    ? clamp(Math.round(value), 0, 100)
+    : fallback
 
 function App() {
   const [snapshot, setSnapshot] = useState(null)
-  const [loading, setLoading] = useState(false)
+  const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [deltaRanges, setDeltaRanges] = useState(() =>
     cloneRangeSet(INITIAL_SLIDER_DELTA_RANGES)
   )
+  const [initialScenario] = useState(() =>
+    readScenarioFromSearch(window.location.search)
+  )
 
-  const [ethAprPercent, setEthAprPercent] = useState(null)
-  const [ethPriceBaseline, setEthPriceBaseline] = useState(null)
-  const [ssvPriceBaseline, setSsvPriceBaseline] = useState(null)
-  const [stakedEthBaseline, setStakedEthBaseline] = useState(null)
-  const [ssvTotalSupply, setSsvTotalSupply] = useState(null)
+  const [ethAprFallbackPercent, setEthAprFallbackPercent] = useState(null)
+  const [ethAprWindows, setEthAprWindows] = useState(() => readAprWindows(null))
+  const [ethAprWindow, setEthAprWindow] = useState(() =>
+    ETH_APR_WINDOWS.some(({ key }) => key === initialScenario?.ethAprWindow)
+      ? initialScenario.ethAprWindow
+      : null
+  )
+  const [liveEthPriceBaseline, setLiveEthPriceBaseline] = useState(null)
+  const [liveSsvPriceBaseline, setLiveSsvPriceBaseline] = useState(null)
+  const [liveStakedEthBaseline, setLiveStakedEthBaseline] = useState(null)
+  const [liveSsvTotalSupply, setLiveSsvTotalSupply] = useState(null)
+  const [pinnedBaseline, setPinnedBaseline] = useState(
+    () => initialScenario?.baseline ?? null
+  )
+  const [savedScenarios, setSavedScenarios] = useState(() =>
+    loadSavedScenarios()
+  )
+  const [copyStatus, setCopyStatus] = useState(null)
 
   const [ethPriceDeltaPct, setEthPriceDeltaPct] = useState(() =>
     clamp(
-      0,
+      initialScenario?.inputs.ethPriceDeltaPct ?? 0,
       INITIAL_SLIDER_DELTA_RANGES.ethPrice.min,
       INITIAL_SLIDER_DELTA_RANGES.ethPrice.max
     )
   )
   const [ssvPriceDeltaPct, setSsvPriceDeltaPct] = useState(() =>
     clamp(
-      0,
+      initialScenario?.inputs.ssvPriceDeltaPct ?? 0,
       INITIAL_SLIDER_DELTA_RANGES.ssvPrice.min,
       INITIAL_SLIDER_DELTA_RANGES.ssvPrice.max
     )
   )
   const [stakedEthDeltaPct, setStakedEthDeltaPct] = useState(() =>
     clamp(
-      0,
+      initialScenario?.inputs.stakedEthDeltaPct ?? 0,
       INITIAL_SLIDER_DELTA_RANGES.stakedEth.min,
       INITIAL_SLIDER_DELTA_RANGES.stakedEth.max
     )
   )
-  const [networkFeeDeltaPct, setNetworkFeeDeltaPct] = useState(0)
-  const [stakedSsvPercent, setStakedSsvPercent] = useState(STAKED_SSV_BASELINE)
+  const [networkFeeDeltaPct, setNetworkFeeDeltaPct] = useState(() =>
+    clamp(
+      initialScenario?.inputs.networkFeeDeltaPct ?? 0,
+      INITIAL_SLIDER_DELTA_RANGES.networkFee.min,
+      INITIAL_SLIDER_DELTA_RANGES.networkFee.max
+    )
+  )
+  const [liveNetworkFeeBaseline, setLiveNetworkFeeBaseline] = useState(
+    NETWORK_FEE_BASELINE
+  )
+  const [stakedSsvBaseline, setStakedSsvBaseline] = useState(STAKED_SSV_BASELINE)
+  const [stakedSsvPercent, setStakedSsvPercent] = useState(() =>
+    typeof initialScenario?.inputs.stakedSsvPercent === 'number'
+      ? clamp(initialScenario.inputs.stakedSsvPercent, 0, 100)
+      : STAKED_SSV_BASELINE
+  )
+  // Null follows the backend's ETH-paying share of cluster balances (or 100% without one).
+  const [ethPaymentPercent, setEthPaymentPercent] = useState(() =>
+    typeof initialScenario?.inputs.ethPaymentPercent === 'number'
+      ? clamp(initialScenario.inputs.ethPaymentPercent, 0, 100)
+      : null
+  )
+  const [ethPaymentMigration, setEthPaymentMigration] = useState(() =>
+    normalizeEthPaymentMigration(initialScenario?.ethPaymentMigration)
+  )
+  const [liveClusterPayments, setLiveClusterPayments] = useState(null)
+  const [showProjection, setShowProjection] = useState(false)
   const [headerUiState, setHeaderUiState] = useState(() => ({
     isElevated: false,
     showApr: false,
   }))
+  const [networkRegistry, setNetworkRegistry] = useState(null)
+  const [network, setNetwork] = useState(() => loadSelectedNetwork())
 
   useEffect(() => {
     let isMounted = true
-    let fetchInProgress = false
-    let intervalId
 
-    const loadSnapshot = async ({ silent = false } = {}) => {
-      if (fetchInProgress) {
-        return
-      }
-      fetchInProgress = true
+    fetchNetworks()
+      .then((registry) => {
+        if (!isMounted || !Array.isArray(registry?.networks)) return
+        setNetworkRegistry(registry)
+        // A stored network the backend no longer serves falls back to its default (null).
+        setNetwork((previous) =>
+          previous === null || registry.networks.some(({ key }) => key === previous)
+            ? previous
+            : null
+        )
+      })
+      .catch((networksError) => {
+        console.error(networksError)
+      })
+
+    return () => {
+      isMounted = false
+    }
+  }, [])
 
-      try {
-        if (!silent) {
-          setLoading(true)
+  const handleNetworkChange = (nextNetwork) => {
+    if (nextNetwork === network) return
+    setNetwork(nextNetwork)
+    persistSelectedNetwork(nextNetwork)
+    setLoading(true)
+    setSnapshot(null)
+    // Staked ETH is per network; don't carry the previous network's value into one without data.
+    setLiveStakedEthBaseline(null)
+  }
+
+  useEffect(() => {
+    let appliedStakedSsvBaseline = STAKED_SSV_BASELINE
+    // A shared link fixes % staked SSV explicitly, so it must not follow config baseline changes.
+    let stakedSsvFollowsBaseline =
+      typeof initialScenario?.inputs.stakedSsvPercent !== 'number'
+
+    const applySnapshot = (data) => {
+      setSnapshot(data)
+
+      const deltaConfig = data?.config?.deltaRanges
+      if (deltaConfig) {
+        const nextRanges = {
+          ethPrice: normalizeRange(
+            deltaConfig.ethPrice,
+            INITIAL_SLIDER_DELTA_RANGES.ethPrice
+          ),
+          ssvPrice: normalizeRange(
+            deltaConfig.ssvPrice,
+            INITIAL_SLIDER_DELTA_RANGES.ssvPrice
+          ),
+          stakedEth: normalizeRange(
+            deltaConfig.stakedEth,
+            INITIAL_SLIDER_DELTA_RANGES.stakedEth
+          ),
+          networkFee: normalizeRange(
+            deltaConfig.networkFee,
+            INITIAL_SLIDER_DELTA_RANGES.networkFee
+          ),
         }
-        const data = await fetchMarketSnapshot()
-        if (!isMounted) return
-
-        setSnapshot(data)
-
-        const deltaConfig = data?.config?.deltaRanges
-        if (deltaConfig) {
-          const nextRanges = {
-            ethPrice: normalizeRange(
-              deltaConfig.ethPrice,
-              INITIAL_SLIDER_DELTA_RANGES.ethPrice
-            ),
-            ssvPrice: normalizeRange(
-              deltaConfig.ssvPrice,
-              INITIAL_SLIDER_DELTA_RANGES.ssvPrice
-            ),
-            stakedEth: normalizeRange(
-              deltaConfig.stakedEth,
-              INITIAL_SLIDER_DELTA_RANGES.stakedEth
-            ),
-          }
 
-          setDeltaRanges(nextRanges)
-          setEthPriceDeltaPct((previous) =>
-            clamp(previous, nextRanges.ethPrice.min, nextRanges.ethPrice.max)
-          )
-          setSsvPriceDeltaPct((previous) =>
-            clamp(previous, nextRanges.ssvPrice.min, nextRanges.ssvPrice.max)
-          )
-          setStakedEthDeltaPct((previous) =>
-            clamp(previous, nextRanges.stakedEth.min, nextRanges.stakedEth.max)
+        setDeltaRanges(nextRanges)
+        setEthPriceDeltaPct((previous) =>
+          clamp(previous, nextRanges.ethPrice.min, nextRanges.ethPrice.max)
+        )
+        setSsvPriceDeltaPct((previous) =>
+          clamp(previous, nextRanges.ssvPrice.min, nextRanges.ssvPrice.max)
+        )
+        setStakedEthDeltaPct((previous) =>
+          clamp(previous, nextRanges.stakedEth.min, nextRanges.stakedEth.max)
+        )
+        setNetworkFeeDeltaPct((previous) =>
+          clamp(previous, nextRanges.networkFee.min, nextRanges.networkFee.max)
+        )
+      }
+
+      setLiveNetworkFeeBaseline(
+        normalizeNetworkFeeBaseline(
+          data?.config?.networkFeeBaseline,
+          NETWORK_FEE_BASELINE
+        )
+      )
+
+      const nextStakedSsvBaseline = normalizeStakedSsvBaseline(
+        data?.config?.stakedSsvBaselinePercent,
+        STAKED_SSV_BASELINE
+      )
+      if (nextStakedSsvBaseline !== appliedStakedSsvBaseline) {
+        // Only follow the new baseline if the user hasn't moved the slider away from the old one.
+        const previousBaseline = appliedStakedSsvBaseline
+        if (stakedSsvFollowsBaseline) {
+          setStakedSsvPercent((previous) =>
+            previous === previousBaseline ? nextStakedSsvBaseline : previous
           )
         }
+        stakedSsvFollowsBaseline = true
+        setStakedSsvBaseline(nextStakedSsvBaseline)
+        appliedStakedSsvBaseline = nextStakedSsvBaseline
+      }
 
-        const stakingApr = data?.data?.stakingApr?.value
-        if (typeof stakingApr === 'number' && Number.isFinite(stakingApr)) {
-          setEthAprPercent(stakingApr * 100)
-        }
+      setLiveClusterPayments(data?.data?.clusterPayments ?? null)
 
-        const backendEthPrice = data?.data?.prices?.ETH?.priceUsd
-        if (
-          typeof backendEthPrice === 'number' &&
-          Number.isFinite(backendEthPrice)
-        ) {
-          setEthPriceBaseline(backendEthPrice)
-        }
+      const stakingApr = data?.data?.stakingApr?.value
+      if (typeof stakingApr === 'number' && Number.isFinite(stakingApr)) {
+        setEthAprFallbackPercent(stakingApr * 100)
+      }
 
-        const backendSsvPrice = data?.data?.prices?.SSV?.priceUsd
-        if (
-          typeof backendSsvPrice === 'number' &&
-          Number.isFinite(backendSsvPrice)
-        ) {
-          setSsvPriceBaseline(backendSsvPrice)
-        }
+      if (data?.data?.stakingApr?.windows) {
+        setEthAprWindows(readAprWindows(data.data.stakingApr))
+        const backendDefaultWindow = data.data.stakingApr.defaultWindow
+        setEthAprWindow(
+          (previous) =>
+            previous ??
+            (ETH_APR_WINDOWS.some(({ key }) => key === backendDefaultWindow)
+              ? backendDefaultWindow
+              : DEFAULT_ETH_APR_WINDOW)
+        )
+      }
 
-        const backendSsvSupply = data?.data?.prices?.SSV?.totalSupply
-        if (
-          typeof backendSsvSupply === 'number' &&
-          Number.isFinite(backendSsvSupply)
-        ) {
-          setSsvTotalSupply(backendSsvSupply)
-        }
+      const backendEthPrice = data?.data?.prices?.ETH?.priceUsd
+      if (
+        typeof backendEthPrice === 'number' &&
+        Number.isFinite(backendEthPrice)
+      ) {
+        setLiveEthPriceBaseline(backendEthPrice)
+      }
 
-        const backendStakedEth = data?.data?.stakedEth?.value
-        if (
-          typeof backendStakedEth === 'number' &&
-          Number.isFinite(backendStakedEth)
-        ) {
-          setStakedEthBaseline(backendStakedEth)
-        }
+      const backendSsvPrice = data?.data?.prices?.SSV?.priceUsd
+      if (
+        typeof backendSsvPrice === 'number' &&
+        Number.isFinite(backendSsvPrice)
+      ) {
+        setLiveSsvPriceBaseline(backendSsvPrice)
+      }
+
+      const backendSsvSupply = data?.data?.prices?.SSV?.totalSupply
+      if (
+        typeof backendSsvSupply === 'number' &&
+        Number.isFinite(backendSsvSupply)
+      ) {
+        setLiveSsvTotalSupply(backendSsvSupply)
+      }
+
+      const backendStakedEth = data?.data?.stakedEth?.value
+      if (
+        typeof backendStakedEth === 'number' &&
+        Number.isFinite(backendStakedEth)
+      ) {
+        setLiveStakedEthBaseline(backendStakedEth)
+      }
+
+      setError(null)
+      setLoading(false)
+    }
 
-        setError(null)
-      } catch (loadError) {
+    return subscribeMarketSnapshot({
+      network,
+      onSnapshot: applySnapshot,
+      onError: (loadError) => {
         console.error(loadError)
-        if (!isMounted) return
         setError(
           loadError instanceof Error
             ? loadError.message
             : 'Failed to load market data.'
         )
-      } finally {
-        fetchInProgress = false
-        if (isMounted) {
-          setLoading(false)
-        }
-      }
+        setLoading(false)
+      },
+      pollIntervalMs: MARKET_REFRESH_INTERVAL_MS,
+    })
+  }, [initialScenario, network])
+
+  // Pinned scenarios don't use live values, so live data-quality warnings don't apply to them.
+  const qualityIssues = Object.keys(QUALITY_LABELS).reduce((acc, metric) => {
+    const issue = pinnedBaseline
+      ? null
+      : describeQualityIssue(metric, snapshot?.quality?.[metric])
+    if (issue) {
+      acc[metric] = issue
     }
+    return acc
+  }, {})
 
-    loadSnapshot()
+  const withQualityWarning = (hint, metric) =>
+    qualityIssues[metric] ? `${hint} ⚠ ${qualityIssues[metric]}` : hint
 
-    if (MARKET_REFRESH_INTERVAL_MS > 0) {
-      intervalId = window.setInterval(() => {
-        loadSnapshot({ silent: true })
-      }, MARKET_REFRESH_INTERVAL_MS)
-    }
-
-    return () => {
-      isMounted = false
-      if (intervalId) {
-        window.clearInterval(intervalId)
-      }
-    }
-  }, [])
+  const ethPriceBaseline = pinnedBaseline?.ethPrice ?? liveEthPriceBaseline
+  const ssvPriceBaseline = pinnedBaseline?.ssvPrice ?? liveSsvPriceBaseline
+  const stakedEthBaseline = pinnedBaseline?.stakedEth ?? liveStakedEthBaseline
+  const ssvTotalSupply = pinnedBaseline?.ssvTotalSupply ?? liveSsvTotalSupply
+  const networkFeeBaseline = pinnedBaseline?.networkFee ?? liveNetworkFeeBaseline
 
   const ethPriceAdjusted = useMemo(
-    () => computeAdjustedValue(ethPriceBaseline, ethPriceDeltaPct),
+    () => applyDelta(ethPriceBaseline, ethPriceDeltaPct),
     [ethPriceBaseline, ethPriceDeltaPct]
   )
 
   const ssvPriceAdjusted = useMemo(
-    () => computeAdjustedValue(ssvPriceBaseline, ssvPriceDeltaPct),
+    () => applyDelta(ssvPriceBaseline, ssvPriceDeltaPct),
     [ssvPriceBaseline, ssvPriceDeltaPct]
   )
 
   const stakedEthAdjusted = useMemo(
-    () => computeAdjustedValue(stakedEthBaseline, stakedEthDeltaPct),
+    () => applyDelta(stakedEthBaseline, stakedEthDeltaPct),
     [stakedEthBaseline, stakedEthDeltaPct]
   )
 
   const networkFeeAdjusted = useMemo(
-    () => computeAdjustedValue(NETWORK_FEE_BASELINE, networkFeeDeltaPct),
-    [networkFeeDeltaPct]
+    () => applyDelta(networkFeeBaseline, networkFeeDeltaPct),
+    [networkFeeBaseline, networkFeeDeltaPct]
   )
 
   const networkFeeAdjustedPercent =
@@ -427,18 +566,10 @@ function App() {
       ? networkFeeAdjusted * 100
       : null
 
-  const stakedSsvAmount = useMemo(() => {
-    if (
-      typeof ssvTotalSupply !== 'number' ||
-      !Number.isFinite(ssvTotalSupply) ||
-      typeof stakedSsvPercent !== 'number' ||
-      !Number.isFinite(stakedSsvPercent)
-    ) {
-      return null
-    }
-
-    return (ssvTotalSupply * stakedSsvPercent) / 100
-  }, [ssvTotalSupply, stakedSsvPercent])
+  const stakedSsvAmount = useMemo(
+    () => stakedSsvFromPercent(ssvTotalSupply, stakedSsvPercent),
+    [ssvTotalSupply, stakedSsvPercent]
+  )
 
   const finalStakedEth =
     stakedEthAdjusted ??
@@ -452,6 +583,27 @@ function App() {
       ? ethPriceBaseline
       : null)
 
+  const selectedEthAprWindow = ethAprWindow
+    ? ETH_APR_WINDOWS.find(({ key }) => key === ethAprWindow)
+    : null
+
+  const liveEthAprPercent =
+    (selectedEthAprWindow
+      ? ethAprWindows[selectedEthAprWindow.key]?.percent
+      : null) ?? ethAprFallbackPercent
+
+  const ethAprPercent = pinnedBaseline?.ethAprPercent ?? liveEthAprPercent
+
+  const ethAprHint = pinnedBaseline
+    ? 'Pinned with the scenario baseline. Unpin it to use live ETH.Store data.'
+    : selectedEthAprWindow
+    ? `${selectedEthAprWindow.description} staking APR from ETH.Store${
+        ethAprWindows[selectedEthAprWindow.key]?.partial
+          ? ' (history still backfilling)'
+          : ''
+      }. Pick the window that drives the calculation.`
+    : 'Staking APR pulled from backend.'
+
   const finalEthAprDecimal =
     typeof ethAprPercent === 'number' && Number.isFinite(ethAprPercent)
       ? ethAprPercent / 100
@@ -462,16 +614,6 @@ function App() {
       ? networkFeeAdjusted
       : null
 
-  const overallFeesUsd =
-    finalStakedEth !== null &&
-    finalEthPrice !== null &&
-    finalEthAprDecimal !== null &&
-    finalNetworkFeeDecimal !== null
-      ? finalStakedEth * finalEthPrice * finalEthAprDecimal * finalNetworkFeeDecimal
-      : null
-  const formattedOverallFees =
-    overallFeesUsd !== null ? formatCurrency(overallFeesUsd) : '—'
-
   const finalSsvPrice =
     ssvPriceAdjusted ??
     (typeof ssvPriceBaseline === 'number' && Number.isFinite(ssvPriceBaseline)
@@ -479,19 +621,52 @@ function App() {
       : null)
 
   const finalStakedSsv =
-    stakedSsvAmount ??
-    (typeof ssvTotalSupply === 'number' && Number.isFinite(ssvTotalSupply)
-      ? (ssvTotalSupply * STAKED_SSV_BASELINE) / 100
-      : null)
+    stakedSsvAmount ?? stakedSsvFromPercent(ssvTotalSupply, stakedSsvBaseline)
 
-  const ssvApr =
-    overallFeesUsd !== null &&
-    finalStakedSsv !== null &&
-    finalStakedSsv > 0 &&
-    finalSsvPrice !== null &&
-    finalSsvPrice > 0
-      ? overallFeesUsd / (finalStakedSsv * finalSsvPrice)
+  const liveEthPaymentPercent =
+    typeof liveClusterPayments?.ethShare === 'number'
+      ? liveClusterPayments.ethShare * 100
       : null
+  // With a migration this is the share at launch, and the cards use the first year's average.
+  const ethPaymentStartPercent = ethPaymentPercent ?? liveEthPaymentPercent ?? 100
+  const ethPaymentMigrationDecimal = ethPaymentMigration
+    ? {
+        from: ethPaymentStartPercent / 100,
+        to: ethPaymentMigration.targetPercent / 100,
+        years: ethPaymentMigration.years,
+        curve: ethPaymentMigration.curve,
+      }
+    : null
+  const finalEthPaymentShare = ethPaymentMigrationDecimal
+    ? averageEthPaymentShare(ethPaymentMigrationDecimal, 1)
+    : ethPaymentStartPercent / 100
+
+  const accrual = calculateAccrual({
+    stakedEth: finalStakedEth,
+    ethPrice: finalEthPrice,
+    ethApr: finalEthAprDecimal,
+    networkFee: finalNetworkFeeDecimal,
+    ssvPrice: finalSsvPrice,
+    stakedSsv: finalStakedSsv,
+    ethPaymentShare: finalEthPaymentShare,
+  })
+
+  // Baselines the slider deltas apply to; scenario columns and analysis views share it.
+  const scenarioBaseline = {
+    ethPrice: ethPriceBaseline,
+    ssvPrice: ssvPriceBaseline,
+    stakedEth: stakedEthBaseline,
+    ethApr: finalEthAprDecimal,
+    networkFee: networkFeeBaseline,
+    ssvTotalSupply,
+    ethPaymentShare: finalEthPaymentShare,
+  }
+
+  const overallFeesUsd = accrual.totalFeesUsd
+  const formattedOverallFees =
+    overallFeesUsd !== null ? formatCurrency(overallFeesUsd) : '—'
+
+  const ssvApr = accrual.ssvApr
 
   const ssvAprPercentValue =
     ssvApr !== null && Number.isFinite(ssvApr) ? ssvApr * 100 : null
@@ -501,20 +676,199 @@ function App() {
       ? formatPercent(ssvAprPercentValue)
       : '—'
 
+  const currentScenario = useMemo(
+    () => ({
+      inputs: {
+        ethPriceDeltaPct,
+        ssvPriceDeltaPct,
+        stakedEthDeltaPct,
+        networkFeeDeltaPct,
+        stakedSsvPercent,
+        ethPaymentPercent,
+      },
+      ethAprWindow,
+      ethPaymentMigration,
+      baseline: pinnedBaseline,
+    }),
+    [
+      ethPriceDeltaPct,
+      ssvPriceDeltaPct,
+      stakedEthDeltaPct,
+      networkFeeDeltaPct,
+      stakedSsvPercent,
+      ethPaymentPercent,
+      ethAprWindow,
+      ethPaymentMigration,
+      pinnedBaseline,
+    ]
+  )
+
+  useEffect(() => {
+    const { inputs } = currentScenario
+    const isUntouched =
+      inputs.ethPriceDeltaPct === 0 &&
+      inputs.ssvPriceDeltaPct === 0 &&
+      inputs.stakedEthDeltaPct === 0 &&
+      inputs.networkFeeDeltaPct === 0 &&
+      inputs.stakedSsvPercent === stakedSsvBaseline &&
+      inputs.ethPaymentPercent === null &&
+      !currentScenario.ethPaymentMigration &&
+      !currentScenario.baseline &&
+      (currentScenario.ethAprWindow === null ||
+        currentScenario.ethAprWindow === DEFAULT_ETH_APR_WINDOW)
+
+    writeScenarioToUrl(isUntouched ? null : currentScenario)
+  }, [currentScenario, stakedSsvBaseline])
+
+  const liveBaselineCapture = captureBaseline({
+    ethPrice: liveEthPriceBaseline,
+    ssvPrice: liveSsvPriceBaseline,
+    stakedEth: liveStakedEthBaseline,
+    ethAprPercent: liveEthAprPercent,
+    ssvTotalSupply: liveSsvTotalSupply,
+    networkFee: liveNetworkFeeBaseline,
+  })
+
+  const handleTogglePin = (shouldPin) => {
+    setPinnedBaseline(shouldPin ? liveBaselineCapture : null)
+    // The ETH-paying share comes from live cluster data too, so pinning fixes it as well.
+    if (shouldPin && ethPaymentPercent === null) {
+      setEthPaymentPercent(ethPaymentStartPercent)
+    }
+  }
+
+  const handleEthPaymentMigrationSelect = (curve) => {
+    setEthPaymentMigration((previous) =>
+      normalizeEthPaymentMigration({ ...DEFAULT_ETH_PAYMENT_MIGRATION, ...previous, curve })
+    )
+  }
+
+  const updateEthPaymentMigration = (key, value) => {
+    setEthPaymentMigration((previous) =>
+      previous ? normalizeEthPaymentMigration({ ...previous, [key]: value }) : previous
+    )
+  }
+
+  const ethPaymentHint =
+    liveEthPaymentPercent !== null
+      ? `${formatPercent(liveEthPaymentPercent)} of cluster balances pay fees in ETH today (${formatEthAmount(
+          liveClusterPayments.ethBalanceEth
+        )} in ETH, ${formatEthAmount(
+          liveClusterPayments.ssvBalanceEth
+        )} in SSV). SSV-paying clusters add no ETH fees.`
+      : 'No live cluster payment data, so every cluster is assumed to pay in ETH. SSV-paying clusters add no ETH fees.'
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(buildScenarioUrl(currentScenario))
+      setCopyStatus('copied')
+    } catch (copyError) {
+      console.error(copyError)
+      setCopyStatus('failed')
+    }
+    window.setTimeout(() => setCopyStatus(null), 2500)
+  }
+
+  const handleSaveScenario = (name) => {
+    const entry = {
+      ...currentScenario,
+      name,
+      savedAt: new Date().toISOString(),
+    }
+    const nextScenarios = [
+      ...savedScenarios.filter((scenario) => scenario.name !== name),
+      entry,
+    ].sort((a, b) => a.name.localeCompare(b.name))
+
+    setSavedScenarios(nextScenarios)
+    persistSavedScenarios(nextScenarios)
+  }
+
+  const applyScenarioInputs = (inputs) => {
+    const clampDelta = (value, range) =>
+      typeof value === 'number' ? clamp(value, range.min, range.max) : 0
+
+    setEthPriceDeltaPct(clampDelta(inputs.ethPriceDeltaPct, deltaRanges.ethPrice))
+    setSsvPriceDeltaPct(clampDelta(inputs.ssvPriceDeltaPct, deltaRanges.ssvPrice))
+    setStakedEthDeltaPct(
+      clampDelta(inputs.stakedEthDeltaPct, deltaRanges.stakedEth)
+    )
+    setNetworkFeeDeltaPct(
+      clampDelta(inputs.networkFeeDeltaPct, deltaRanges.networkFee)
+    )
+    setStakedSsvPercent(
+      typeof inputs.stakedSsvPercent === 'number'
+        ? clamp(inputs.stakedSsvPercent, 0, 100)
+        : stakedSsvBaseline
+    )
+    // Comparison columns don't carry the ETH-paying share, so they leave it as is.
+    if (inputs.ethPaymentPercent !== undefined) {
+      setEthPaymentPercent(
+        typeof inputs.ethPaymentPercent === 'number'
+          ? clamp(inputs.ethPaymentPercent, 0, 100)
+          : null
+      )
+    }
+  }
+
+  // Solved values keep two decimals so the URL stays readable; the APR moves by a rounding error.
+  const handleApplySolvedInput = (key, value) => {
+    applyScenarioInputs({
+      ...currentScenario.inputs,
+      [key]: Math.round(value * 100) / 100,
+    })
+  }
+
+  const handleLoadScenario = (name) => {
+    const scenario = savedScenarios.find((entry) => entry.name === name)
+    if (!scenario) return
+
+    applyScenarioInputs({ ethPaymentPercent: null, ...scenario.inputs })
+    setEthPaymentMigration(normalizeEthPaymentMigration(scenario.ethPaymentMigration))
+    if (ETH_APR_WINDOWS.some(({ key }) => key === scenario.ethAprWindow)) {
+      setEthAprWindow(scenario.ethAprWindow)
+    }
+    setPinnedBaseline(scenario.baseline ?? null)
+  }
+
+  const handleDeleteScenario = (name) => {
+    const nextScenarios = savedScenarios.filter(
+      (scenario) => scenario.name !== name
+    )
+    setSavedScenarios(nextScenarios)
+    persistSavedScenarios(nextScenarios)
+  }
+
   const shareOnTwitter = useCallback(() => {
+    // Pin the baseline so the preview card shows exactly the APR the sender sees.
+    const sharePageUrl = buildSharePageUrl(
+      encodeScenarioId({
+        ...currentScenario,
+        inputs: { ...currentScenario.inputs, ethPaymentPercent: ethPaymentStartPercent },
+        baseline: currentScenario.baseline ?? liveBaselineCapture,
+      })
+    )
     const aprDisplay = formattedSsvApr !== '—' ? formattedSsvApr : 'ETH yield'
-    const tweetText = `SSV is redefining ETH yield.\nIf the SSV - ETH Accrual Token 💎 was live today, SSV stakers would be earning 💰${aprDisplay} in real ETH — aligning the entire network around sustainable, ETH-based rewards. ⚖️\n\nSupport this improvement proposal!\n\n🔗 Calculate your ETH accrual potential:\n👉 https://your-deployed-domain.example/ssv-apr-share.html\n\n#SSV #ETH #Restaking #RealYield via @ssv_network`
+    const tweetText = `SSV is redefining ETH yield.\nIf the SSV - ETH Accrual Token 💎 was live today, SSV stakers would be earning 💰${aprDisplay} in real ETH — aligning the entire network around sustainable, ETH-based rewards. ⚖️\n\nSupport this improvement proposal!\n\n🔗 Calculate your ETH accrual potential:\n👉 ${sharePageUrl}\n\n#SSV #ETH #Restaking #RealYield via @ssv_network`
     const shareUrl = new URL('https://twitter.com/intent/tweet')
     shareUrl.searchParams.set('text', tweetText)
-    shareUrl.searchParams.set('url', TWITTER_SHARE_PAGE_URL)
+    shareUrl.searchParams.set('url', sharePageUrl)
     shareUrl.searchParams.set('hashtags', 'SSV,ETH,Restaking')
     shareUrl.searchParams.set('via', 'ssv_network')
     shareUrl.searchParams.set('related', 'ssv_network')
     window.open(shareUrl.toString(), '_blank', 'noopener,noreferrer')
-  }, [formattedSsvApr])
+  }, [currentScenario, ethPaymentStartPercent, formattedSsvApr, liveBaselineCapture])
 
   const markdownPlugins = useMemo(() => [remarkGfm], [])
 
+  const networkOptions = networkRegistry?.networks ?? []
+  // Only named when it isn't the backend's default, so mainnet users see no change.
+  const selectedNetworkLabel =
+    snapshot?.network && snapshot.network !== networkRegistry?.defaultNetwork
+      ? networkOptions.find(({ key }) => key === snapshot.network)?.label ??
+        snapshot.network
+      : null
+
   const renderStatusMessage = () => {
     if (loading && !snapshot) {
       return 'Loading market data...'
@@ -523,7 +877,18 @@ function App() {
       return `Market data unavailable: ${error}`
     }
     if (snapshot?.lastUpdated) {
-      return `Market data refreshed ${new Date(snapshot.lastUpdated).toLocaleString()}`
+      const warnings = Object.values(qualityIssues)
+      return (
+        <>
+          {`Market data refreshed ${new Date(snapshot.lastUpdated).toLocaleString()}`}
+          {selectedNetworkLabel ? ` (${selectedNetworkLabel} staked ETH)` : null}
+          {warnings.map((warning) => (
+            <span key={warning} className="data-status-warning">
+              {warning}
+            </span>
+          ))}
+        </>
+      )
     }
     return null
   }
@@ -587,6 +952,20 @@ function App() {
           ) : null}
         </div>
         <div className="topbar-actions">
+          {networkOptions.length > 1 ? (
+            <select
+              className="network-select"
+              aria-label="Network"
+              value={network ?? networkRegistry.defaultNetwork}
+              onChange={(event) => handleNetworkChange(event.target.value)}
+            >
+              {networkOptions.map(({ key, label }) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          ) : null}
           <nav className="top-nav">
             <a href="#" className="active">
               Calculator
@@ -661,7 +1040,7 @@ function App() {
           </div>
 
           <div className="controls-grid">
-            <StaticControl
+            <SelectorControl
               label="ETH APR"
               value={
                 ethAprPercent !== null
@@ -670,7 +1049,17 @@ function App() {
                   ? 'Loading...'
                   : '—'
               }
-              hint="Average 31-day staking APR pulled from backend."
+              hint={withQualityWarning(ethAprHint, 'stakingApr')}
+              options={ETH_APR_WINDOWS.map(({ key, label }) => ({
+                value: key,
+                label,
+                detail: ethAprWindows[key]
+                  ? formatPercent(ethAprWindows[key].percent)
+                  : '—',
+                disabled: !ethAprWindows[key],
+              }))}
+              selected={ethAprWindow}
+              onSelect={setEthAprWindow}
             />
             <SliderControl
               label="Staked ETH"
@@ -693,15 +1082,16 @@ function App() {
               }
               minLabel={formatDeltaLabel(deltaRanges.stakedEth.min)}
               maxLabel={formatDeltaLabel(deltaRanges.stakedEth.max)}
-              hint={
+              hint={withQualityWarning(
                 stakedEthBaseline !== null
                   ? `Baseline ${formatEthAmount(
                       stakedEthBaseline
                     )} · adjust from ${formatDeltaLabel(
                       deltaRanges.stakedEth.min
                     )} to ${formatDeltaLabel(deltaRanges.stakedEth.max)}`
-                  : 'Baseline staked ETH not available yet.'
-              }
+                  : 'Baseline staked ETH not available yet.',
+                'stakedEth'
+              )}
               disabled={stakedEthBaseline === null || loading}
               onReset={() => setStakedEthDeltaPct(0)}
               canReset={
@@ -729,15 +1119,16 @@ function App() {
               }
               minLabel={formatDeltaLabel(deltaRanges.ethPrice.min)}
               maxLabel={formatDeltaLabel(deltaRanges.ethPrice.max)}
-              hint={
+              hint={withQualityWarning(
                 ethPriceBaseline !== null
                   ? `Baseline ${formatCurrency(
                       ethPriceBaseline
                     )} · adjust from ${formatDeltaLabel(
                       deltaRanges.ethPrice.min
                     )} to ${formatDeltaLabel(deltaRanges.ethPrice.max)}`
-                  : 'Baseline price not available yet.'
-              }
+                  : 'Baseline price not available yet.',
+                'ethPrice'
+              )}
               disabled={ethPriceBaseline === null || loading}
               onReset={() => setEthPriceDeltaPct(0)}
               canReset={ethPriceBaseline !== null && ethPriceDeltaPct !== 0}
@@ -766,15 +1157,16 @@ function App() {
               }
               minLabel={formatDeltaLabel(deltaRanges.ssvPrice.min)}
               maxLabel={formatDeltaLabel(deltaRanges.ssvPrice.max)}
-              hint={
+              hint={withQualityWarning(
                 ssvPriceBaseline !== null
                   ? `Baseline ${formatCurrency(
                       ssvPriceBaseline
                     )} · adjust from ${formatDeltaLabel(
                       deltaRanges.ssvPrice.min
                     )} to ${formatDeltaLabel(deltaRanges.ssvPrice.max)}`
-                  : 'Baseline price not available yet.'
-              }
+                  : 'Baseline price not available yet.',
+                'ssvPrice'
+              )}
               disabled={ssvPriceBaseline === null || loading}
               onReset={() => setSsvPriceDeltaPct(0)}
               canReset={ssvPriceBaseline !== null && ssvPriceDeltaPct !== 0}
@@ -783,8 +1175,8 @@ function App() {
               label="Network Fee"
               value={networkFeeDeltaPct}
               onChange={setNetworkFeeDeltaPct}
-              min={-50}
-              max={150}
+              min={deltaRanges.networkFee.min}
+              max={deltaRanges.networkFee.max}
               step={1}
               formatter={(value) => `${value.toFixed(0)}%`}
               valueLabel={
@@ -796,11 +1188,13 @@ function App() {
                     ) ?? formatPercent(networkFeeAdjustedPercent)
                   : '—'
               }
-              minLabel="-50%"
-              maxLabel="+150%"
+              minLabel={formatDeltaLabel(deltaRanges.networkFee.min)}
+              maxLabel={formatDeltaLabel(deltaRanges.networkFee.max)}
               hint={`Baseline ${formatPercent(
-                NETWORK_FEE_BASELINE * 100
-              )} · adjust from -50% to +150%`}
+                networkFeeBaseline * 100
+              )} · adjust from ${formatDeltaLabel(
+                deltaRanges.networkFee.min
+              )} to ${formatDeltaLabel(deltaRanges.networkFee.max)}`}
               onReset={() => setNetworkFeeDeltaPct(0)}
               canReset={networkFeeDeltaPct !== 0}
             />
@@ -828,10 +1222,78 @@ function App() {
                     )}).`
                   : 'Portion of supply participating in staking.'
               }
-              onReset={() => setStakedSsvPercent(STAKED_SSV_BASELINE)}
-              canReset={stakedSsvPercent !== STAKED_SSV_BASELINE}
+              onReset={() => setStakedSsvPercent(stakedSsvBaseline)}
+              canReset={stakedSsvPercent !== stakedSsvBaseline}
+            />
+            <SliderControl
+              label={ethPaymentMigration ? '% Paying in ETH at Launch' : '% Clusters Paying in ETH'}
+              value={ethPaymentStartPercent}
+              onChange={setEthPaymentPercent}
+              min={0}
+              max={100}
+              step={1}
+              formatter={formatPercent}
+              valueLabel={
+                ethPaymentMigration
+                  ? `${formatPercent(ethPaymentStartPercent)} (year 1 average ${formatPercent(
+                      finalEthPaymentShare * 100
+                    )})`
+                  : formatPercent(ethPaymentStartPercent)
+              }
+              hint={ethPaymentHint}
+              onReset={() => setEthPaymentPercent(null)}
+              canReset={ethPaymentPercent !== null}
             />
+            <SelectorControl
+              label="ETH Payment Migration"
+              value={
+                ethPaymentMigration
+                  ? `${formatPercent(ethPaymentMigration.targetPercent)} in ${
+                      ethPaymentMigration.years
+                    } yr`
+                  : 'None'
+              }
+              hint="Move clusters from SSV to ETH payments over time. The cards use the first year's average; the projection follows the curve year by year."
+              options={ETH_PAYMENT_MIGRATION_OPTIONS}
+              selected={ethPaymentMigration?.curve ?? 'none'}
+              onSelect={handleEthPaymentMigrationSelect}
+            />
+            {ethPaymentMigration ? (
+              <>
+                <SliderControl
+                  label="Migration Target"
+                  value={ethPaymentMigration.targetPercent}
+                  onChange={(value) => updateEthPaymentMigration('targetPercent', value)}
+                  min={0}
+                  max={100}
+                  step={1}
+                  formatter={formatPercent}
+                  hint="Share of cluster balances paying in ETH once the migration completes."
+                />
+                <SliderControl
+                  label="Migration Length"
+                  value={ethPaymentMigration.years}
+                  onChange={(value) => updateEthPaymentMigration('years', value)}
+                  min={1}
+                  max={MAX_MIGRATION_YEARS}
+                  step={1}
+                  formatter={(value) => `${value} yr`}
+                />
+              </>
+            ) : null}
           </div>
+          <ScenarioPanel
+            savedScenarios={savedScenarios}
+            onSave={handleSaveScenario}
+            onLoad={handleLoadScenario}
+            onDelete={handleDeleteScenario}
+            isPinned={Boolean(pinnedBaseline)}
+            canPin={Boolean(liveBaselineCapture)}
+            pinnedAt={pinnedBaseline?.pinnedAt}
+            onTogglePin={handleTogglePin}
+            onCopyLink={handleCopyLink}
+            copyStatus={copyStatus}
+          />
           <div className="data-status">
             {renderStatusMessage()}
             {!loading && !error && !snapshot
@@ -839,6 +1301,161 @@ function App() {
               : null}
           </div>
         </section>
+        <section className="comparison-section">
+          <div className="section-header">
+            <h2>Compare Scenarios</h2>
+            <p>
+              Keep up to four scenarios side by side, such as bear, base and bull
+              cases. Every column uses the same market baseline as the calculator.
+            </p>
+          </div>
+          <ComparisonPanel
+            baseline={scenarioBaseline}
+            deltaRanges={deltaRanges}
+            currentInputs={currentScenario.inputs}
+            onApply={applyScenarioInputs}
+          />
+        </section>
+        <section className="solver-section">
+          <div className="section-header">
+            <h2>Solve for a Target</h2>
+            <p>
+              Work backwards from a target SSV APR or yearly fee to the value one input
+              would need, with everything else held as configured above.
+            </p>
+          </div>
+          <SolverPanel
+            baseline={scenarioBaseline}
+            inputs={currentScenario.inputs}
+            deltaRanges={deltaRanges}
+            onApply={handleApplySolvedInput}
+          />
+        </section>
+        <section className="sensitivity-section">
+          <div className="section-header">
+            <h2>Sensitivity</h2>
+            <p>
+              See which assumption drives the Staked SSV APR, using the same formulas
+              and slider ranges as the calculator.
+            </p>
+          </div>
+          <SensitivityPanel
+            baseline={scenarioBaseline}
+            inputs={currentScenario.inputs}
+            deltaRanges={deltaRanges}
+          />
+        </section>
+        <section className="montecarlo-section">
+          <div className="section-header">
+            <h2>Simulation</h2>
+            <p>
+              Give each input a distribution around its calculator value and sample
+              thousands of outcomes to see the range of yearly fees and SSV APR.
+            </p>
+          </div>
+          <MonteCarloPanel
+            base={{
+              ethPrice: finalEthPrice,
+              ethApr: finalEthAprDecimal,
+              stakedEth: finalStakedEth,
+              ssvPrice: finalSsvPrice,
+              stakedSsvPercent,
+              networkFee: finalNetworkFeeDecimal,
+              ssvTotalSupply,
+              ethPaymentShare: finalEthPaymentShare,
+            }}
+          />
+        </section>
+        <section className="estimator-section">
+          <div className="section-header">
+            <h2>Your Position</h2>
+            <p>
+              Enter how much SSV you would stake to see your projected ETH earnings
+              under the scenario above.
+            </p>
+          </div>
+          <EarningsEstimator
+            stakedSsv={finalStakedSsv}
+            ssvPrice={finalSsvPrice}
+            totalFeesEth={accrual.totalFeesEth}
+            totalFeesUsd={accrual.totalFeesUsd}
+          />
+        </section>
+        <section className="risk-section">
+          <div className="section-header">
+            <h2>Slashing Risk</h2>
+            <p>
+              Staked SSV is also a backstop that can be slashed to cover protocol-caused
+              losses. Price that risk into the APR and see how much of the staked ETH the
+              backstop could cover.
+            </p>
+          </div>
+          <RiskPanel
+            stakedEth={finalStakedEth}
+            ethPrice={finalEthPrice}
+            ssvPrice={finalSsvPrice}
+            stakedSsv={finalStakedSsv}
+            ssvApr={accrual.ssvApr}
+          />
+        </section>
+        <section className="projection-section">
+          <div className="section-header">
+            <h2>Multi-year Projection</h2>
+            <p>
+              Grow the scenario above year by year to see how fees, SSV APR and the
+              ETH earned per staked SSV compound over time.
+            </p>
+            <button
+              type="button"
+              className="scenario-button"
+              onClick={() => setShowProjection((current) => !current)}
+              aria-expanded={showProjection}
+            >
+              {showProjection ? 'Hide projection' : 'Show projection'}
+            </button>
+          </div>
+          {showProjection ? (
+            <ProjectionPanel
+              stakedEth={finalStakedEth}
+              ethPrice={finalEthPrice}
+              ethApr={finalEthAprDecimal}
+              networkFee={finalNetworkFeeDecimal}
+              ssvPrice={finalSsvPrice}
+              ssvTotalSupply={ssvTotalSupply}
+              stakedSsvPercent={stakedSsvPercent}
+              ethPaymentPercent={ethPaymentStartPercent}
+              ethPaymentMigration={ethPaymentMigration}
+            />
+          ) : null}
+        </section>
+        <section className="operators-section">
+          <div className="section-header">
+            <h2>Operator Breakdown</h2>
+            <p>
+              Which SSV operators run the validators that generate the most network fees. A
+              cluster's balance and fees are split evenly between its operators.
+            </p>
+          </div>
+          <OperatorsPanel
+            key={network ?? 'default'}
+            network={network}
+            refreshKey={snapshot?.lastUpdated ?? null}
+          />
+        </section>
+        <section className="treasury-section">
+          <div className="section-header">
+            <h2>DAO Treasury So Far</h2>
+            <p>
+              Until staking is approved, every network fee goes to the SSV DAO treasury. See
+              what has piled up there, which is what stakers would have received had staking
+              been live all along.
+            </p>
+          </div>
+          <TreasuryPanel
+            stakedSsv={finalStakedSsv}
+            refreshKey={snapshot?.lastUpdated ?? null}
+          />
+        </section>
         <section className="faq-section" id="faq">
           <div className="section-header">
             <h2>Frequently Asked Questions</h2>
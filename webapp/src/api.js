@@ -11,21 +11,154 @@ const resolveApiBaseUrl = () => {
 
 const API_BASE_URL = resolveApiBaseUrl()
 
+// Plain GETs with no custom headers stay CORS "simple requests" (no preflight), and the
+// browser's HTTP cache revalidates them against the backend's ETag and Cache-Control.
 async function fetchJson(path) {
-  const url = `${API_BASE_URL}${path}`
-  const response = await fetch(url)
+  const response = await fetch(`${API_BASE_URL}${path}`)
+
   if (!response.ok) {
     const body = await response.text()
     throw new Error(`Request failed: ${response.status} ${response.statusText} - ${body}`)
   }
+
   return response.json()
 }
 
-export async function fetchMarketSnapshot() {
-  const payload = await fetchJson('/api/prices')
+// A null network leaves the choice to the backend's default network.
+const networkQuery = (network) =>
+  network ? `?network=${encodeURIComponent(network)}` : ''
+
+export async function fetchMarketSnapshot(network = null) {
+  const payload = await fetchJson(`/api/prices${networkQuery(network)}`)
   return payload
 }
 
+export async function fetchNetworks() {
+  return fetchJson('/api/networks')
+}
+
+// One page of per-operator fee attribution. Omitted parameters use the backend defaults.
+export async function fetchOperators({ network = null, sort, order, page, perPage } = {}) {
+  const params = new URLSearchParams()
+  for (const [key, value] of Object.entries({ network, sort, order, page, perPage })) {
+    if (value !== null && value !== undefined) params.set(key, String(value))
+  }
+  const query = params.toString()
+  return fetchJson(`/api/operators${query ? `?${query}` : ''}`)
+}
+
+// Treasury fees accrued on the default network since the backend's start date, with a
+// projection `projectionDays` ahead.
+export async function fetchTreasury({ projectionDays = null } = {}) {
+  const query = projectionDays ? `?projectionDays=${encodeURIComponent(projectionDays)}` : ''
+  return fetchJson(`/api/treasury${query}`)
+}
+
+const STREAM_RECONNECT_BASE_MS = 1000
+const STREAM_RECONNECT_MAX_MS = 60 * 1000
+
+// Delivers market snapshots pushed over `/api/stream`. While the stream is down, `/api/prices`
+// is polled every `pollIntervalMs` (once if 0) and a closed stream is reopened with backoff.
+// Only polling failures reach `onError`. Returns an unsubscribe function.
+export function subscribeMarketSnapshot({
+  network = null,
+  onSnapshot,
+  onError,
+  pollIntervalMs,
+}) {
+  let closed = false
+  let source = null
+  let reconnectTimer = null
+  let reconnectAttempts = 0
+  let polling = false
+  let pollTimer = null
+  let pollInProgress = false
+
+  const poll = async () => {
+    if (pollInProgress) return
+    pollInProgress = true
+    try {
+      const data = await fetchMarketSnapshot(network)
+      if (!closed) onSnapshot(data)
+    } catch (error) {
+      if (!closed) onError(error)
+    } finally {
+      pollInProgress = false
+    }
+  }
+
+  const startPolling = () => {
+    if (polling || closed) return
+    polling = true
+    poll()
+    if (pollIntervalMs > 0) {
+      pollTimer = window.setInterval(poll, pollIntervalMs)
+    }
+  }
+
+  const stopPolling = () => {
+    polling = false
+    if (pollTimer !== null) {
+      window.clearInterval(pollTimer)
+      pollTimer = null
+    }
+  }
+
+  const connect = () => {
+    reconnectTimer = null
+    if (closed) return
+
+    source = new EventSource(`${API_BASE_URL}/api/stream${networkQuery(network)}`)
+
+    source.addEventListener('snapshot', (event) => {
+      reconnectAttempts = 0
+      stopPolling()
+      let data
+      try {
+        data = JSON.parse(event.data)
+      } catch (error) {
+        onError(error)
+        return
+      }
+      onSnapshot(data)
+    })
+
+    // The browser retries dropped connections by itself; it gives up (CLOSED) on HTTP errors.
+    source.onerror = () => {
+      startPolling()
+      if (source.readyState !== EventSource.CLOSED) return
+
+      source.close()
+      source = null
+      const delay = Math.min(
+        STREAM_RECONNECT_MAX_MS,
+        STREAM_RECONNECT_BASE_MS * 2 ** reconnectAttempts
+      )
+      reconnectAttempts += 1
+      reconnectTimer = window.setTimeout(connect, delay)
+    }
+  }
+
+  if (typeof EventSource === 'undefined') {
+    startPolling()
+  } else {
+    connect()
+  }
+
+  return () => {
+    closed = true
+    stopPolling()
+    if (reconnectTimer !== null) {
+      window.clearTimeout(reconnectTimer)
+    }
+    source?.close()
+  }
+}
+
+export function buildSharePageUrl(scenarioId) {
+  return `${API_BASE_URL}/share/${scenarioId}`
+}
+
 export async function fetchHealth() {
   return fetchJson('/health')
 }
@@ -0,0 +1,300 @@
+import { useEffect, useState } from 'react'
+import { calculateScenario } from '../../../shared/calculator.js'
+import {
+  formatCurrency,
+  formatDeltaLabel,
+  formatPercent,
+} from '../format'
+import { loadComparisonColumns, persistComparisonColumns } from '../scenario'
+import SliderControl from './SliderControl'
+
+const MAX_COMPARISON_COLUMNS = 4
+
+const DEFAULT_COLUMN_NAMES = ['Base', 'Bear', 'Bull', 'Custom']
+
+const DELTA_INPUTS = [
+  { key: 'ethPriceDeltaPct', range: 'ethPrice', label: 'ETH Price' },
+  { key: 'ssvPriceDeltaPct', range: 'ssvPrice', label: 'SSV Price' },
+  { key: 'stakedEthDeltaPct', range: 'stakedEth', label: 'Staked ETH' },
+  { key: 'networkFeeDeltaPct', range: 'networkFee', label: 'Network Fee' },
+]
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max)
+
+const nextColumnId = (columns) =>
+  String(
+    columns.reduce((max, column) => Math.max(max, Number(column.id) || 0), 0) + 1
+  )
+
+const nextColumnName = (columns, preferred) => {
+  const taken = new Set(columns.map((column) => column.name))
+  if (preferred && !taken.has(preferred)) return preferred
+  return (
+    DEFAULT_COLUMN_NAMES.find((name) => !taken.has(name)) ??
+    `Scenario ${columns.length + 1}`
+  )
+}
+
+// Column inputs are stored as entered; clamping to the live deltaRanges happens on read so
+// a config change never rewrites what the user saved.
+const clampInputs = (inputs, deltaRanges) => ({
+  ...DELTA_INPUTS.reduce((acc, { key, range }) => {
+    acc[key] = clamp(
+      typeof inputs[key] === 'number' ? inputs[key] : 0,
+      deltaRanges[range].min,
+      deltaRanges[range].max
+    )
+    return acc
+  }, {}),
+  stakedSsvPercent: clamp(
+    typeof inputs.stakedSsvPercent === 'number' ? inputs.stakedSsvPercent : 0,
+    0,
+    100
+  ),
+})
+
+const formatRelativeChange = (value, reference) =>
+  typeof value === 'number' &&
+  typeof reference === 'number' &&
+  reference !== 0
+    ? formatDeltaLabel(((value - reference) / reference) * 100)
+    : '—'
+
+const formatPointChange = (value, reference) => {
+  if (typeof value !== 'number' || typeof reference !== 'number') return '—'
+  const points = (value - reference) * 100
+  return `${points > 0 ? '+' : ''}${points.toFixed(2)} pp`
+}
+
+const deltaClassName = (value, reference) =>
+  typeof value === 'number' && typeof reference === 'number' && value !== reference
+    ? value > reference
+      ? ' comparison-delta--up'
+      : ' comparison-delta--down'
+    : ''
+
+function ComparisonPanel({ baseline, deltaRanges, currentInputs, onApply }) {
+  const [columns, setColumns] = useState(() => {
+    const stored = loadComparisonColumns().slice(0, MAX_COMPARISON_COLUMNS)
+    return stored.length > 0
+      ? stored
+      : [{ id: '1', name: DEFAULT_COLUMN_NAMES[0], inputs: { ...currentInputs } }]
+  })
+
+  useEffect(() => {
+    persistComparisonColumns(columns)
+  }, [columns])
+
+  const canAdd = columns.length < MAX_COMPARISON_COLUMNS
+
+  const results = columns.map((column) => {
+    const inputs = clampInputs(column.inputs, deltaRanges)
+    return { column, inputs, accrual: calculateScenario(baseline, inputs) }
+  })
+  const reference = results[0]?.accrual
+
+  const updateColumn = (id, update) =>
+    setColumns((previous) =>
+      previous.map((column) =>
+        column.id === id ? { ...column, ...update(column) } : column
+      )
+    )
+
+  const handleInputChange = (id, key, value) =>
+    updateColumn(id, (column) => ({ inputs: { ...column.inputs, [key]: value } }))
+
+  const handleAddCurrent = () =>
+    setColumns((previous) =>
+      previous.length >= MAX_COMPARISON_COLUMNS
+        ? previous
+        : [
+            ...previous,
+            {
+              id: nextColumnId(previous),
+              name: nextColumnName(previous),
+              inputs: { ...currentInputs },
+            },
+          ]
+    )
+
+  const handleDuplicate = (id) =>
+    setColumns((previous) => {
+      const index = previous.findIndex((column) => column.id === id)
+      if (index === -1 || previous.length >= MAX_COMPARISON_COLUMNS) return previous
+      const source = previous[index]
+      const copy = {
+        id: nextColumnId(previous),
+        name: nextColumnName(previous, `${source.name} copy`),
+        inputs: { ...source.inputs },
+      }
+      return [...previous.slice(0, index + 1), copy, ...previous.slice(index + 1)]
+    })
+
+  const handleRemove = (id) =>
+    setColumns((previous) =>
+      previous.length > 1 ? previous.filter((column) => column.id !== id) : previous
+    )
+
+  // The first column is the baseline every other column is compared against.
+  const handleMakeBaseline = (id) =>
+    setColumns((previous) => {
+      const column = previous.find((entry) => entry.id === id)
+      return column
+        ? [column, ...previous.filter((entry) => entry.id !== id)]
+        : previous
+    })
+
+  return (
+    <div className="comparison-panel">
+      <div className="comparison-toolbar">
+        <button
+          type="button"
+          className="scenario-button"
+          onClick={handleAddCurrent}
+          disabled={!canAdd}
+        >
+          Add column from calculator
+        </button>
+        <span className="control-hint">
+          {columns.length} of {MAX_COMPARISON_COLUMNS} columns. Deltas compare each
+          column with the first one.
+        </span>
+      </div>
+
+      <div className="comparison-grid">
+        {results.map(({ column, inputs, accrual }, index) => {
+          const isBaseline = index === 0
+          return (
+            <article
+              key={column.id}
+              className={`comparison-column${
+                isBaseline ? ' comparison-column--baseline' : ''
+              }`}
+            >
+              <div className="comparison-column-header">
+                <input
+                  className="scenario-input comparison-name"
+                  type="text"
+                  value={column.name}
+                  maxLength={40}
+                  aria-label="Scenario name"
+                  onChange={(event) =>
+                    updateColumn(column.id, () => ({ name: event.target.value }))
+                  }
+                />
+                {isBaseline ? (
+                  <span className="comparison-badge">Baseline</span>
+                ) : null}
+              </div>
+
+              <div className="comparison-results">
+                <div className="comparison-result">
+                  <span className="metric-label">Network Fee (Yearly)</span>
+                  <span className="comparison-value">
+                    {accrual.totalFeesUsd !== null
+                      ? formatCurrency(accrual.totalFeesUsd)
+                      : '—'}
+                  </span>
+                  {!isBaseline ? (
+                    <span
+                      className={`comparison-delta${deltaClassName(
+                        accrual.totalFeesUsd,
+                        reference?.totalFeesUsd
+                      )}`}
+                    >
+                      {formatRelativeChange(
+                        accrual.totalFeesUsd,
+                        reference?.totalFeesUsd
+                      )}
+                    </span>
+                  ) : null}
+                </div>
+                <div className="comparison-result">
+                  <span className="metric-label">Staked SSV APR</span>
+                  <span className="comparison-value">
+                    {accrual.ssvApr !== null
+                      ? formatPercent(accrual.ssvApr * 100)
+                      : '—'}
+                  </span>
+                  {!isBaseline ? (
+                    <span
+                      className={`comparison-delta${deltaClassName(
+                        accrual.ssvApr,
+                        reference?.ssvApr
+                      )}`}
+                    >
+                      {formatPointChange(accrual.ssvApr, reference?.ssvApr)}
+                    </span>
+                  ) : null}
+                </div>
+              </div>
+
+              <div className="comparison-inputs">
+                {DELTA_INPUTS.map(({ key, range, label }) => (
+                  <SliderControl
+                    key={key}
+                    label={label}
+                    value={inputs[key]}
+                    onChange={(value) => handleInputChange(column.id, key, value)}
+                    min={deltaRanges[range].min}
+                    max={deltaRanges[range].max}
+                    step={1}
+                    formatter={formatDeltaLabel}
+                  />
+                ))}
+                <SliderControl
+                  label="% Staked SSV"
+                  value={inputs.stakedSsvPercent}
+                  onChange={(value) =>
+                    handleInputChange(column.id, 'stakedSsvPercent', value)
+                  }
+                  min={0}
+                  max={100}
+                  step={1}
+                  formatter={formatPercent}
+                />
+              </div>
+
+              <div className="comparison-actions">
+                <button
+                  type="button"
+                  className="scenario-button"
+                  onClick={() => onApply(inputs)}
+                >
+                  Load into calculator
+                </button>
+                <button
+                  type="button"
+                  className="scenario-button scenario-button--secondary"
+                  onClick={() => handleDuplicate(column.id)}
+                  disabled={!canAdd}
+                >
+                  Duplicate
+                </button>
+                {!isBaseline ? (
+                  <button
+                    type="button"
+                    className="scenario-button scenario-button--secondary"
+                    onClick={() => handleMakeBaseline(column.id)}
+                  >
+                    Make baseline
+                  </button>
+                ) : null}
+                <button
+                  type="button"
+                  className="scenario-button scenario-button--secondary"
+                  onClick={() => handleRemove(column.id)}
+                  disabled={columns.length <= 1}
+                >
+                  Remove
+                </button>
+              </div>
+            </article>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default ComparisonPanel
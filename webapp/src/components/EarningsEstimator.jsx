@@ -0,0 +1,101 @@
+import { useState } from 'react'
+import { calculatePositionEarnings } from '../../../shared/calculator.js'
+import {
+  formatCurrencyPrecise,
+  formatEthPrecise,
+  formatTokenAmount,
+} from '../format'
+
+const PERIOD_LABELS = [
+  ['day', 'Per day'],
+  ['month', 'Per month'],
+  ['year', 'Per year'],
+]
+
+const formatShare = (share) => {
+  if (share === null) return '—'
+  const percent = share * 100
+  if (percent > 0 && percent < 0.0001) return '< 0.0001%'
+  return `${percent.toLocaleString(undefined, {
+    maximumSignificantDigits: 3,
+  })}%`
+}
+
+function EarningsEstimator({ stakedSsv, ssvPrice, totalFeesEth, totalFeesUsd }) {
+  const [rawAmount, setRawAmount] = useState('1000')
+
+  const parsedAmount = Number(rawAmount)
+  const ssvAmount =
+    rawAmount.trim() !== '' && Number.isFinite(parsedAmount) && parsedAmount >= 0
+      ? parsedAmount
+      : null
+
+  const { poolShare, exceedsPool, earnings } = calculatePositionEarnings({
+    ssvAmount,
+    stakedSsv,
+    totalFeesEth,
+    totalFeesUsd,
+  })
+
+  const positionValueUsd =
+    ssvAmount !== null && typeof ssvPrice === 'number' ? ssvAmount * ssvPrice : null
+
+  return (
+    <div className="estimator-card">
+      <div className="estimator-input">
+        <label className="control-label" htmlFor="estimator-amount">
+          SSV you stake
+        </label>
+        <input
+          id="estimator-amount"
+          className="scenario-input"
+          type="number"
+          min="0"
+          step="any"
+          inputMode="decimal"
+          value={rawAmount}
+          onChange={(event) => setRawAmount(event.target.value)}
+        />
+        <p className="control-hint">
+          {positionValueUsd !== null
+            ? `Worth ${formatCurrencyPrecise(positionValueUsd)} at the scenario SSV price.`
+            : 'Enter an amount of SSV.'}
+        </p>
+      </div>
+
+      <div className="estimator-share">
+        <span className="metric-label">Share of staking pool</span>
+        <span className="estimator-share-value">{formatShare(poolShare)}</span>
+        <p className="control-hint">
+          {typeof stakedSsv === 'number'
+            ? `Of ${formatTokenAmount(stakedSsv, 'SSV')} staked in this scenario.`
+            : 'Staked SSV not available yet.'}
+        </p>
+        {exceedsPool ? (
+          <p className="estimator-warning">
+            This is more than the total staked SSV in the scenario. Raise % Staked SSV so the
+            pool includes your position.
+          </p>
+        ) : null}
+      </div>
+
+      <div className="estimator-periods">
+        {PERIOD_LABELS.map(([period, label]) => (
+          <div key={period} className="estimator-period">
+            <span className="metric-label">{label}</span>
+            <span className="estimator-eth">
+              {formatEthPrecise(earnings[period].eth)}
+            </span>
+            <span className="estimator-usd">
+              {earnings[period].usd !== null
+                ? formatCurrencyPrecise(earnings[period].usd)
+                : '—'}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default EarningsEstimator
@@ -0,0 +1,105 @@
+const WIDTH = 320
+const HEIGHT = 160
+const PADDING = { top: 12, right: 12, bottom: 24, left: 12 }
+
+// Lightweight SVG chart for small series (a handful of points); bars or a line from zero.
+function MiniChart({ title, points, formatValue, variant = 'line' }) {
+  const values = points
+    .map((point) => point.value)
+    .filter((value) => typeof value === 'number' && Number.isFinite(value))
+  const maxValue = values.length ? Math.max(...values, 0) : 0
+  const minValue = values.length ? Math.min(...values, 0) : 0
+  const span = maxValue - minValue || 1
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+  const step = plotWidth / Math.max(points.length, 1)
+
+  const xFor = (index) => PADDING.left + step * index + step / 2
+  const yFor = (value) => PADDING.top + ((maxValue - value) / span) * plotHeight
+  const zeroY = yFor(0)
+
+  const linePath = points
+    .map((point, index) =>
+      typeof point.value === 'number' && Number.isFinite(point.value)
+        ? `${xFor(index).toFixed(1)},${yFor(point.value).toFixed(1)}`
+        : null
+    )
+    .filter(Boolean)
+    .join(' ')
+
+  const latest = [...points]
+    .reverse()
+    .find((point) => typeof point.value === 'number' && Number.isFinite(point.value))
+
+  return (
+    <figure className="mini-chart">
+      <figcaption className="mini-chart-header">
+        <span className="mini-chart-title">{title}</span>
+        <span className="mini-chart-value">
+          {latest ? formatValue(latest.value) : '—'}
+        </span>
+      </figcaption>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={title}
+      >
+        <line
+          x1={PADDING.left}
+          x2={WIDTH - PADDING.right}
+          y1={zeroY}
+          y2={zeroY}
+          className="mini-chart-axis"
+        />
+        {variant === 'bar'
+          ? points.map((point, index) =>
+              typeof point.value === 'number' && Number.isFinite(point.value) ? (
+                <rect
+                  key={point.label}
+                  x={xFor(index) - step * 0.35}
+                  width={step * 0.7}
+                  y={Math.min(yFor(point.value), zeroY)}
+                  height={Math.abs(zeroY - yFor(point.value))}
+                  className="mini-chart-bar"
+                >
+                  <title>{`${point.label}: ${formatValue(point.value)}`}</title>
+                </rect>
+              ) : null
+            )
+          : null}
+        {variant === 'line' && linePath ? (
+          <polyline points={linePath} className="mini-chart-line" />
+        ) : null}
+        {variant === 'line'
+          ? points.map((point, index) =>
+              typeof point.value === 'number' && Number.isFinite(point.value) ? (
+                <circle
+                  key={point.label}
+                  cx={xFor(index)}
+                  cy={yFor(point.value)}
+                  r={3}
+                  className="mini-chart-dot"
+                >
+                  <title>{`${point.label}: ${formatValue(point.value)}`}</title>
+                </circle>
+              ) : null
+            )
+          : null}
+        {points.map((point, index) => (
+          <text
+            key={point.label}
+            x={xFor(index)}
+            y={HEIGHT - 6}
+            textAnchor="middle"
+            className="mini-chart-label"
+          >
+            {point.label}
+          </text>
+        ))}
+      </svg>
+    </figure>
+  )
+}
+
+export default MiniChart
@@ -0,0 +1,305 @@
+import { useEffect, useRef, useState } from 'react'
+import { formatCurrency, formatPercent } from '../format'
+import SliderControl from './SliderControl'
+
+const DRAW_OPTIONS = [1000, 5000, 10000, 50000]
+
+const DISTRIBUTION_LABELS = {
+  fixed: 'Fixed',
+  normal: 'Normal',
+  lognormal: 'Lognormal',
+  uniform: 'Uniform',
+}
+
+const SPREAD_HINTS = {
+  normal: 'Standard deviation as a share of the value.',
+  lognormal: 'Volatility (sigma of the log); the median stays at the value.',
+  uniform: 'Draws evenly within ± this share of the value.',
+}
+
+const INPUTS = [
+  { key: 'ethPrice', label: 'ETH Price', type: 'lognormal', spread: 40 },
+  { key: 'ethApr', label: 'ETH APR', type: 'normal', spread: 10 },
+  { key: 'stakedEth', label: 'Staked ETH', type: 'normal', spread: 20 },
+  { key: 'ssvPrice', label: 'SSV Price', type: 'lognormal', spread: 60 },
+  { key: 'stakedSsvPercent', label: '% Staked SSV', type: 'uniform', spread: 30 },
+  { key: 'networkFee', label: 'Network Fee', type: 'fixed', spread: 0 },
+]
+
+const HISTOGRAM_WIDTH = 480
+const HISTOGRAM_HEIGHT = 180
+const HISTOGRAM_PADDING = { top: 16, right: 8, bottom: 8, left: 8 }
+
+const randomSeed = () => Math.floor(Math.random() * 2 ** 31)
+
+function Histogram({ title, summary, formatValue }) {
+  const maxCount = Math.max(...summary.histogram.map((bin) => bin.count), 1)
+  const first = summary.histogram[0]
+  const last = summary.histogram[summary.histogram.length - 1]
+  const plotWidth = HISTOGRAM_WIDTH - HISTOGRAM_PADDING.left - HISTOGRAM_PADDING.right
+  const plotHeight = HISTOGRAM_HEIGHT - HISTOGRAM_PADDING.top - HISTOGRAM_PADDING.bottom
+  const barWidth = plotWidth / Math.max(summary.histogram.length, 1)
+  const span = last && first ? last.to - first.from || 1 : 1
+  const xFor = (value) =>
+    HISTOGRAM_PADDING.left +
+    Math.min(Math.max((value - first.from) / span, 0), 1) * plotWidth
+
+  return (
+    <figure className="montecarlo-histogram">
+      <figcaption className="mini-chart-header">
+        <span className="mini-chart-title">{title}</span>
+        <span className="mini-chart-value">
+          {summary.p50 !== null ? formatValue(summary.p50) : '—'}
+        </span>
+      </figcaption>
+      {summary.count > 0 ? (
+        <svg viewBox={`0 0 ${HISTOGRAM_WIDTH} ${HISTOGRAM_HEIGHT}`} role="img" aria-label={title}>
+          {summary.histogram.map((bin, index) => {
+            const height = (bin.count / maxCount) * plotHeight
+            return (
+              <rect
+                key={index}
+                x={HISTOGRAM_PADDING.left + index * barWidth + 1}
+                width={Math.max(barWidth - 2, 1)}
+                y={HISTOGRAM_PADDING.top + plotHeight - height}
+                height={height}
+                className="mini-chart-bar"
+              >
+                <title>{`${formatValue(bin.from)} – ${formatValue(bin.to)}: ${bin.count}`}</title>
+              </rect>
+            )
+          })}
+          {[
+            ['P10', summary.p10],
+            ['P50', summary.p50],
+            ['P90', summary.p90],
+          ].map(([label, value]) => (
+            <g key={label}>
+              <line
+                x1={xFor(value)}
+                x2={xFor(value)}
+                y1={HISTOGRAM_PADDING.top}
+                y2={HISTOGRAM_HEIGHT - HISTOGRAM_PADDING.bottom}
+                className="montecarlo-marker"
+              />
+              <text
+                x={xFor(value)}
+                y={HISTOGRAM_PADDING.top - 4}
+                textAnchor="middle"
+                className="mini-chart-label"
+              >
+                {label}
+              </text>
+            </g>
+          ))}
+        </svg>
+      ) : (
+        <p className="control-hint">No draws produced a value.</p>
+      )}
+      <dl className="montecarlo-percentiles">
+        {[
+          ['P10', summary.p10],
+          ['P50', summary.p50],
+          ['P90', summary.p90],
+          ['Mean', summary.mean],
+        ].map(([label, value]) => (
+          <div key={label}>
+            <dt>{label}</dt>
+            <dd>{value !== null ? formatValue(value) : '—'}</dd>
+          </div>
+        ))}
+      </dl>
+    </figure>
+  )
+}
+
+function MonteCarloPanel({ base }) {
+  const [distributions, setDistributions] = useState(() =>
+    INPUTS.reduce((acc, { key, type, spread }) => {
+      acc[key] = { type, spread }
+      return acc
+    }, {})
+  )
+  const [draws, setDraws] = useState(10000)
+  const [seedInput, setSeedInput] = useState('')
+  const [result, setResult] = useState(null)
+  const [running, setRunning] = useState(false)
+  const [runError, setRunError] = useState(null)
+  const workerRef = useRef(null)
+  const runIdRef = useRef(0)
+
+  useEffect(
+    () => () => {
+      workerRef.current?.terminate()
+    },
+    []
+  )
+
+  const baseReady = [...INPUTS.map(({ key }) => key), 'ssvTotalSupply'].every(
+    (key) => typeof base[key] === 'number' && Number.isFinite(base[key])
+  )
+
+  const updateDistribution = (key, update) =>
+    setDistributions((previous) => ({
+      ...previous,
+      [key]: { ...previous[key], ...update },
+    }))
+
+  const handleRun = () => {
+    if (!baseReady) return
+
+    if (!workerRef.current) {
+      workerRef.current = new Worker(
+        new URL('../workers/montecarlo.worker.js', import.meta.url),
+        { type: 'module' }
+      )
+    }
+
+    const trimmedSeed = seedInput.trim()
+    const parsedSeed = Number(trimmedSeed)
+    const seed =
+      trimmedSeed !== '' && Number.isInteger(parsedSeed) ? parsedSeed : randomSeed()
+    const id = runIdRef.current + 1
+    runIdRef.current = id
+
+    workerRef.current.onmessage = (event) => {
+      if (event.data?.id !== runIdRef.current) return
+      setRunning(false)
+      if (event.data.error) {
+        setRunError(event.data.error)
+        return
+      }
+      setRunError(null)
+      setResult(event.data.result)
+    }
+    workerRef.current.onerror = (event) => {
+      event.preventDefault()
+      setRunning(false)
+      setRunError(event.message || 'Simulation worker failed to start.')
+    }
+
+    setRunning(true)
+    workerRef.current.postMessage({
+      id,
+      simulation: {
+        base,
+        // The sliders hold percentages; the simulation takes decimals.
+        distributions: Object.entries(distributions).reduce(
+          (acc, [key, { type, spread }]) => {
+            acc[key] = { type, spread: spread / 100 }
+            return acc
+          },
+          {}
+        ),
+        draws,
+        seed,
+      },
+    })
+  }
+
+  return (
+    <div className="montecarlo-panel">
+      <div className="controls-grid">
+        {INPUTS.map(({ key, label }) => {
+          const distribution = distributions[key]
+          const isFixed = distribution.type === 'fixed'
+          return (
+            <div className="montecarlo-input" key={key}>
+              <label className="montecarlo-type">
+                <span className="control-label">{label}</span>
+                <select
+                  className="scenario-input"
+                  value={distribution.type}
+                  onChange={(event) =>
+                    updateDistribution(key, { type: event.target.value })
+                  }
+                >
+                  {Object.entries(DISTRIBUTION_LABELS).map(([type, typeLabel]) => (
+                    <option key={type} value={type}>
+                      {typeLabel}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <SliderControl
+                label="Spread"
+                value={distribution.spread}
+                onChange={(spread) => updateDistribution(key, { spread })}
+                min={0}
+                max={100}
+                step={1}
+                formatter={(value) => `${value}%`}
+                hint={isFixed ? 'Held at the calculator value.' : SPREAD_HINTS[distribution.type]}
+                disabled={isFixed}
+              />
+            </div>
+          )
+        })}
+      </div>
+
+      <div className="montecarlo-toolbar">
+        <label className="montecarlo-option">
+          <span className="control-label">Draws</span>
+          <select
+            className="scenario-input"
+            value={draws}
+            onChange={(event) => setDraws(Number(event.target.value))}
+          >
+            {DRAW_OPTIONS.map((option) => (
+              <option key={option} value={option}>
+                {option.toLocaleString('en-US')}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="montecarlo-option">
+          <span className="control-label">Seed</span>
+          <input
+            className="scenario-input"
+            type="text"
+            inputMode="numeric"
+            value={seedInput}
+            placeholder="Random"
+            onChange={(event) => setSeedInput(event.target.value)}
+          />
+        </label>
+        <button
+          type="button"
+          className="scenario-button"
+          onClick={handleRun}
+          disabled={!baseReady || running}
+        >
+          {running ? 'Simulating…' : 'Run simulation'}
+        </button>
+      </div>
+
+      {!baseReady ? (
+        <p className="control-hint">Waiting for market data before simulating.</p>
+      ) : null}
+      {runError ? <p className="estimator-warning">{runError}</p> : null}
+
+      {result ? (
+        <>
+          <p className="control-hint">
+            {result.draws.toLocaleString('en-US')} draws with seed {result.seed}. Enter
+            that seed to reproduce this run.
+          </p>
+          <div className="montecarlo-results">
+            <Histogram
+              title="Network Fee (Yearly)"
+              summary={result.totalFeesUsd}
+              formatValue={formatCurrency}
+            />
+            <Histogram
+              title="Staked SSV APR"
+              summary={result.ssvApr}
+              formatValue={(value) => formatPercent(value * 100)}
+            />
+          </div>
+        </>
+      ) : null}
+    </div>
+  )
+}
+
+export default MonteCarloPanel
@@ -0,0 +1,192 @@
+import { useEffect, useState } from 'react'
+import { fetchOperators } from '../api'
+import {
+  formatCurrency,
+  formatEthAmount,
+  formatEthPrecise,
+  formatNumber,
+  formatPercent,
+} from '../format'
+
+const PAGE_SIZE = 20
+
+// `defaultOrder` is what a first click on the column sorts by; a second click flips it.
+const COLUMNS = [
+  { key: 'name', label: 'Operator', defaultOrder: 'asc' },
+  { key: 'clusterCount', label: 'Clusters', defaultOrder: 'desc' },
+  { key: 'validatorCount', label: 'Validators', defaultOrder: 'desc' },
+  { key: 'effectiveBalanceEth', label: 'Attributed ETH', defaultOrder: 'desc' },
+  { key: 'feesEth', label: 'Yearly fees', defaultOrder: 'desc' },
+]
+
+const formatOptional = (value, formatter) =>
+  typeof value === 'number' && Number.isFinite(value) ? formatter(value) : '—'
+
+// Reloads whenever `refreshKey` changes (the snapshot's lastUpdated), since fees follow the
+// live ETH APR and price. Mount it with `key={network}` so paging resets on a network switch.
+function OperatorsPanel({ network, refreshKey }) {
+  const [sort, setSort] = useState({ key: 'feesEth', order: 'desc' })
+  const [page, setPage] = useState(1)
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let isMounted = true
+
+    fetchOperators({
+      network,
+      sort: sort.key,
+      order: sort.order,
+      page,
+      perPage: PAGE_SIZE,
+    })
+      .then((data) => {
+        if (!isMounted) return
+        setResult(data)
+        setError(null)
+      })
+      .catch((operatorsError) => {
+        if (!isMounted) return
+        console.error(operatorsError)
+        setError('Operator data is not available right now.')
+      })
+
+    return () => {
+      isMounted = false
+    }
+  }, [network, sort, page, refreshKey])
+
+  const handleSort = (column) => {
+    setSort((previous) =>
+      previous.key === column.key
+        ? { key: column.key, order: previous.order === 'asc' ? 'desc' : 'asc' }
+        : { key: column.key, order: column.defaultOrder }
+    )
+    setPage(1)
+  }
+
+  if (!result) {
+    return (
+      <div className="operators-panel">
+        <p className={error ? 'estimator-warning' : 'control-hint'}>
+          {error ?? 'Loading operators…'}
+        </p>
+      </div>
+    )
+  }
+
+  const { assumptions, totals, totalPages } = result
+  const firstRank = (result.page - 1) * result.perPage
+
+  return (
+    <div className="operators-panel">
+      <div className="operators-summary">
+        <span>{`${formatNumber(totals.operators)} operators`}</span>
+        <span>{`${formatNumber(totals.clusters)} clusters`}</span>
+        <span>{`${formatNumber(totals.validatorCount)} validators`}</span>
+        {typeof result.clusterPayments?.ethShare === 'number' ? (
+          <span>
+            {`${formatPercent(result.clusterPayments.ethShare * 100)} of balances paying in ETH`}
+          </span>
+        ) : null}
+        <span>
+          {`${formatOptional(totals.feesEth, formatEthPrecise)} / ${formatOptional(
+            totals.feesUsd,
+            formatCurrency
+          )} in yearly fees`}
+        </span>
+      </div>
+      {error ? <p className="estimator-warning">{error}</p> : null}
+      {totals.feesEth === null ? (
+        <p className="estimator-warning">
+          Fees appear once the live ETH staking APR and price are available.
+        </p>
+      ) : null}
+
+      <div className="projection-table-wrapper">
+        <table className="projection-table operators-table">
+          <thead>
+            <tr>
+              <th scope="col">#</th>
+              {COLUMNS.map((column) => {
+                const active = sort.key === column.key
+                return (
+                  <th
+                    key={column.key}
+                    scope="col"
+                    aria-sort={
+                      active ? (sort.order === 'asc' ? 'ascending' : 'descending') : 'none'
+                    }
+                  >
+                    <button
+                      type="button"
+                      className={`operators-sort${active ? ' active' : ''}`}
+                      onClick={() => handleSort(column)}
+                    >
+                      {column.label}
+                      {active ? (sort.order === 'asc' ? ' ▲' : ' ▼') : ''}
+                    </button>
+                  </th>
+                )
+              })}
+              <th scope="col">Yearly fees (USD)</th>
+              <th scope="col">Share</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.operators.map((operator, index) => (
+              <tr key={operator.id}>
+                <th scope="row">{firstRank + index + 1}</th>
+                <td className="operators-name">
+                  {operator.name}
+                  <span className="operators-id">{`ID ${operator.id}`}</span>
+                </td>
+                <td>{formatNumber(operator.clusterCount)}</td>
+                <td>{formatNumber(operator.validatorCount)}</td>
+                <td>{formatOptional(operator.effectiveBalanceEth, formatEthAmount)}</td>
+                <td>{formatOptional(operator.feesEth, formatEthPrecise)}</td>
+                <td>{formatOptional(operator.feesUsd, formatCurrency)}</td>
+                <td>
+                  {formatOptional(operator.shareOfFees, (value) => formatPercent(value * 100))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="operators-footer">
+        <p className="control-hint">
+          {`Fees use ${formatOptional(
+            assumptions.ethApr,
+            (value) => formatPercent(value * 100)
+          )} ETH APR and a ${formatPercent(assumptions.networkFee * 100)} network fee.`}
+          {result.updatedAt
+            ? ` Operator data from ${new Date(result.updatedAt).toLocaleString()}.`
+            : ''}
+        </p>
+        <div className="operators-pager">
+          <button
+            type="button"
+            className="scenario-button"
+            onClick={() => setPage((current) => current - 1)}
+            disabled={page <= 1}
+          >
+            Previous
+          </button>
+          <span>{`Page ${result.page} of ${totalPages}`}</span>
+          <button
+            type="button"
+            className="scenario-button"
+            onClick={() => setPage((current) => current + 1)}
+            disabled={page >= totalPages}
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default OperatorsPanel
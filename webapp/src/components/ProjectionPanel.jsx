@@ -0,0 +1,245 @@
+import { useMemo, useState } from 'react'
+import {
+  MAX_PROJECTION_YEARS,
+  projectAccrual,
+} from '../../../shared/calculator.js'
+import {
+  formatCurrency,
+  formatCurrencyPrecise,
+  formatDeltaLabel,
+  formatEthAmount,
+  formatEthPrecise,
+  formatPercent,
+  formatTokenAmount,
+} from '../format'
+import MiniChart from './MiniChart'
+import SliderControl from './SliderControl'
+
+const GROWTH_RANGE = { min: -50, max: 200 }
+
+const formatGrowth = (value) => `${formatDeltaLabel(value)} / yr`
+
+const formatOptional = (value, formatter) =>
+  typeof value === 'number' && Number.isFinite(value) ? formatter(value) : '—'
+
+function ProjectionPanel({
+  stakedEth,
+  ethPrice,
+  ethApr,
+  networkFee,
+  ssvPrice,
+  ssvTotalSupply,
+  stakedSsvPercent,
+  ethPaymentPercent,
+  ethPaymentMigration,
+}) {
+  const [years, setYears] = useState(5)
+  const [stakedEthGrowth, setStakedEthGrowth] = useState(20)
+  const [ethPriceGrowth, setEthPriceGrowth] = useState(10)
+  const [ssvPriceGrowth, setSsvPriceGrowth] = useState(10)
+  const [targetStakedSsvPercent, setTargetStakedSsvPercent] = useState(null)
+  const [restake, setRestake] = useState(false)
+
+  // Until the user moves it, the ramp target tracks the main % Staked SSV slider (a flat ramp).
+  const rampTarget = targetStakedSsvPercent ?? stakedSsvPercent
+
+  const rows = useMemo(
+    () =>
+      projectAccrual({
+        base: {
+          stakedEth,
+          ethPrice,
+          ethApr,
+          networkFee,
+          ssvPrice,
+          ssvTotalSupply,
+          ethPaymentShare: ethPaymentPercent / 100,
+        },
+        stakedSsvPercent,
+        targetStakedSsvPercent: rampTarget,
+        years,
+        growth: {
+          stakedEth: stakedEthGrowth / 100,
+          ethPrice: ethPriceGrowth / 100,
+          ssvPrice: ssvPriceGrowth / 100,
+        },
+        restake,
+        ethPaymentMigration: ethPaymentMigration
+          ? {
+              from: ethPaymentPercent / 100,
+              to: ethPaymentMigration.targetPercent / 100,
+              years: ethPaymentMigration.years,
+              curve: ethPaymentMigration.curve,
+            }
+          : null,
+      }),
+    [
+      stakedEth,
+      ethPrice,
+      ethApr,
+      networkFee,
+      ssvPrice,
+      ssvTotalSupply,
+      stakedSsvPercent,
+      rampTarget,
+      years,
+      stakedEthGrowth,
+      ethPriceGrowth,
+      ssvPriceGrowth,
+      restake,
+      ethPaymentPercent,
+      ethPaymentMigration,
+    ]
+  )
+
+  const chartPoint = (key, scale = 1) =>
+    rows.map((row) => ({
+      label: `Y${row.year}`,
+      value: typeof row[key] === 'number' ? row[key] * scale : null,
+    }))
+
+  return (
+    <div className="projection-panel">
+      <div className="controls-grid">
+        <SliderControl
+          label="Years"
+          value={years}
+          onChange={setYears}
+          min={1}
+          max={MAX_PROJECTION_YEARS}
+          step={1}
+          formatter={(value) => `${value}y`}
+          hint="Year 1 is the scenario configured above."
+        />
+        <SliderControl
+          label="Staked ETH growth"
+          value={stakedEthGrowth}
+          onChange={setStakedEthGrowth}
+          min={GROWTH_RANGE.min}
+          max={GROWTH_RANGE.max}
+          step={5}
+          formatter={formatGrowth}
+          minLabel={formatDeltaLabel(GROWTH_RANGE.min)}
+          maxLabel={formatDeltaLabel(GROWTH_RANGE.max)}
+          hint="Annual change in ETH staked through SSV."
+        />
+        <SliderControl
+          label="ETH price growth"
+          value={ethPriceGrowth}
+          onChange={setEthPriceGrowth}
+          min={GROWTH_RANGE.min}
+          max={GROWTH_RANGE.max}
+          step={5}
+          formatter={formatGrowth}
+          minLabel={formatDeltaLabel(GROWTH_RANGE.min)}
+          maxLabel={formatDeltaLabel(GROWTH_RANGE.max)}
+          hint="Annual change in the ETH price."
+        />
+        <SliderControl
+          label="SSV price growth"
+          value={ssvPriceGrowth}
+          onChange={setSsvPriceGrowth}
+          min={GROWTH_RANGE.min}
+          max={GROWTH_RANGE.max}
+          step={5}
+          formatter={formatGrowth}
+          minLabel={formatDeltaLabel(GROWTH_RANGE.min)}
+          maxLabel={formatDeltaLabel(GROWTH_RANGE.max)}
+          hint="Annual change in the SSV price."
+        />
+        <SliderControl
+          label={`% Staked SSV in year ${years}`}
+          value={rampTarget}
+          onChange={setTargetStakedSsvPercent}
+          min={0}
+          max={100}
+          step={1}
+          formatter={formatPercent}
+          hint={`Participation ramps linearly from ${formatPercent(
+            stakedSsvPercent
+          )} in year 1.`}
+          onReset={() => setTargetStakedSsvPercent(null)}
+          canReset={targetStakedSsvPercent !== null}
+        />
+        <div className="control-card">
+          <label className="scenario-toggle">
+            <input
+              type="checkbox"
+              checked={restake}
+              onChange={(event) => setRestake(event.target.checked)}
+            />
+            <span className="control-label">Sell ETH rewards and restake SSV</span>
+          </label>
+          <p className="control-hint">
+            Each year's ETH is swapped for SSV at that year's price and staked, so
+            per-holder earnings compound.
+          </p>
+        </div>
+      </div>
+
+      <div className="projection-charts">
+        <MiniChart
+          title="Yearly network fees"
+          points={chartPoint('totalFeesUsd')}
+          formatValue={formatCurrency}
+          variant="bar"
+        />
+        <MiniChart
+          title="Staked SSV APR"
+          points={chartPoint('ssvApr', 100)}
+          formatValue={formatPercent}
+        />
+        <MiniChart
+          title="Cumulative ETH per staked SSV"
+          points={chartPoint('cumulativeEthPerSsv')}
+          formatValue={formatEthPrecise}
+        />
+      </div>
+
+      <div className="projection-table-wrapper">
+        <table className="projection-table">
+          <thead>
+            <tr>
+              <th scope="col">Year</th>
+              <th scope="col">Staked ETH</th>
+              <th scope="col">ETH price</th>
+              <th scope="col">SSV price</th>
+              <th scope="col">% Staked SSV</th>
+              <th scope="col">% Paying in ETH</th>
+              <th scope="col">Yearly fees</th>
+              <th scope="col">SSV APR</th>
+              {restake ? <th scope="col">SSV held</th> : null}
+              <th scope="col">ETH / SSV (year)</th>
+              <th scope="col">ETH / SSV (cumulative)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.year}>
+                <th scope="row">{row.year}</th>
+                <td>{formatOptional(row.stakedEth, formatEthAmount)}</td>
+                <td>{formatOptional(row.ethPrice, formatCurrency)}</td>
+                <td>{formatOptional(row.ssvPrice, formatCurrencyPrecise)}</td>
+                <td>{formatOptional(row.stakedSsvPercent, formatPercent)}</td>
+                <td>
+                  {formatOptional(row.ethPaymentShare, (value) => formatPercent(value * 100))}
+                </td>
+                <td>{formatOptional(row.totalFeesUsd, formatCurrency)}</td>
+                <td>
+                  {formatOptional(row.ssvApr, (value) => formatPercent(value * 100))}
+                </td>
+                {restake ? (
+                  <td>{formatTokenAmount(row.ssvHoldings, 'SSV')}</td>
+                ) : null}
+                <td>{formatOptional(row.ethEarnedPerSsv, formatEthPrecise)}</td>
+                <td>{formatOptional(row.cumulativeEthPerSsv, formatEthPrecise)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default ProjectionPanel
@@ -0,0 +1,139 @@
+import { useState } from 'react'
+import { calculateSlashingRisk } from '../../../shared/calculator.js'
+import {
+  formatCurrency,
+  formatCurrencyPrecise,
+  formatEthPrecise,
+  formatPercent,
+} from '../format'
+import SliderControl from './SliderControl'
+
+const formatOptional = (value, formatter) =>
+  typeof value === 'number' && Number.isFinite(value) ? formatter(value) : '—'
+
+const formatRatioPercent = (value) =>
+  formatOptional(value, (ratio) => formatPercent(ratio * 100))
+
+function RiskPanel({ stakedEth, ethPrice, ssvPrice, stakedSsv, ssvApr }) {
+  const [incidentProbabilityPercent, setIncidentProbabilityPercent] = useState(1)
+  const [rawExpectedLoss, setRawExpectedLoss] = useState('10000')
+  const [slashingCapPercent, setSlashingCapPercent] = useState(10)
+
+  const parsedLoss = Number(rawExpectedLoss)
+  const expectedLossEth =
+    rawExpectedLoss.trim() !== '' && Number.isFinite(parsedLoss) && parsedLoss >= 0
+      ? parsedLoss
+      : null
+
+  const risk = calculateSlashingRisk({
+    stakedEth,
+    ethPrice,
+    ssvPrice,
+    stakedSsv,
+    ssvApr,
+    incidentProbability: incidentProbabilityPercent / 100,
+    expectedLossEth,
+    slashingCap: slashingCapPercent / 100,
+  })
+
+  return (
+    <div className="risk-panel">
+      <div className="risk-controls">
+        <SliderControl
+          label="Incident Probability"
+          value={incidentProbabilityPercent}
+          onChange={setIncidentProbabilityPercent}
+          min={0}
+          max={20}
+          step={0.5}
+          formatter={(value) => `${formatPercent(value)} / yr`}
+          hint="Chance that a protocol-caused failure leads to user losses in a given year."
+        />
+        <div className="control-card">
+          <label className="control-label" htmlFor="risk-expected-loss">
+            Expected Loss per Incident (ETH)
+          </label>
+          <input
+            id="risk-expected-loss"
+            className="scenario-input"
+            type="number"
+            min="0"
+            step="any"
+            inputMode="decimal"
+            value={rawExpectedLoss}
+            onChange={(event) => setRawExpectedLoss(event.target.value)}
+          />
+          <p className="control-hint">
+            {expectedLossEth !== null && typeof ethPrice === 'number'
+              ? `Worth ${formatCurrency(expectedLossEth * ethPrice)} at the scenario ETH price.`
+              : 'Enter the ETH users would lose in one incident.'}
+          </p>
+        </div>
+        <SliderControl
+          label="Slashing Cap"
+          value={slashingCapPercent}
+          onChange={setSlashingCapPercent}
+          min={0}
+          max={100}
+          step={1}
+          formatter={formatPercent}
+          hint="Most of the staked SSV value one incident can slash. Losses above it are not covered."
+        />
+      </div>
+
+      <div className="risk-results">
+        <div className="risk-apr">
+          <div className="estimator-period">
+            <span className="metric-label">Staked SSV APR</span>
+            <span className="estimator-eth">{formatRatioPercent(ssvApr)}</span>
+            <span className="estimator-usd">Before slashing risk</span>
+          </div>
+          <div className="estimator-period">
+            <span className="metric-label">Risk-adjusted APR</span>
+            <span className="estimator-eth">{formatRatioPercent(risk.riskAdjustedSsvApr)}</span>
+            <span className="estimator-usd">
+              {`${formatRatioPercent(risk.expectedLossRate)} expected yearly slashing`}
+            </span>
+          </div>
+        </div>
+        <dl className="risk-figures">
+          <div>
+            <dt>Expected slashing cost per staked SSV</dt>
+            <dd>
+              {`${formatEthPrecise(risk.expectedCostPerSsvEth)} (${formatOptional(
+                risk.expectedCostPerSsvUsd,
+                formatCurrencyPrecise
+              )}) / yr`}
+            </dd>
+          </div>
+          <div>
+            <dt>Slashed per incident</dt>
+            <dd>
+              {`${formatOptional(risk.slashedPerIncidentUsd, formatCurrency)} (${formatRatioPercent(
+                risk.incidentCoverage
+              )} of the loss)`}
+            </dd>
+          </div>
+          <div>
+            <dt>Coverage ratio</dt>
+            <dd>{formatRatioPercent(risk.coverageRatio)}</dd>
+          </div>
+        </dl>
+        <p className="control-hint">
+          {`Coverage ratio is the staked SSV value (${formatOptional(
+            risk.stakedSsvValueUsd,
+            formatCurrency
+          )}) over the value of all staked ETH in the scenario.`}
+        </p>
+        {risk.riskAdjustedSsvApr !== null && risk.riskAdjustedSsvApr < 0 ? (
+          <p className="estimator-warning">
+            Expected slashing exceeds the fee yield: staking SSV loses value on average under these
+            assumptions.
+          </p>
+        ) : null}
+      </div>
+    </div>
+  )
+}
+
+export default RiskPanel
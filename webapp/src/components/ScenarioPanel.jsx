@@ -0,0 +1,147 @@
+import { useState } from 'react'
+
+const formatSavedAt = (value) => {
+  if (!value) return ''
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString()
+}
+
+function ScenarioPanel({
+  savedScenarios,
+  onSave,
+  onLoad,
+  onDelete,
+  isPinned,
+  canPin,
+  pinnedAt,
+  onTogglePin,
+  onCopyLink,
+  copyStatus,
+}) {
+  const [name, setName] = useState('')
+  const [selectedName, setSelectedName] = useState('')
+
+  const trimmedName = name.trim()
+  const selected =
+    savedScenarios.find((scenario) => scenario.name === selectedName) ?? null
+  const overwriting = savedScenarios.some(
+    (scenario) => scenario.name === trimmedName
+  )
+
+  const handleSave = (event) => {
+    event.preventDefault()
+    if (!trimmedName) return
+    onSave(trimmedName)
+    setSelectedName(trimmedName)
+    setName('')
+  }
+
+  return (
+    <div className="scenario-panel">
+      <div className="scenario-group">
+        <span className="control-label">Share this scenario</span>
+        <label className="scenario-toggle">
+          <input
+            type="checkbox"
+            checked={isPinned}
+            onChange={(event) => onTogglePin(event.target.checked)}
+            disabled={!isPinned && !canPin}
+          />
+          <span>Pin baseline market values</span>
+        </label>
+        <p className="control-hint">
+          {isPinned
+            ? `Using pinned market values${
+                pinnedAt ? ` from ${formatSavedAt(pinnedAt)}` : ''
+              }. Shared links reproduce this exact APR.`
+            : 'Links use live market data, so the APR may drift as prices move.'}
+        </p>
+        <button type="button" className="scenario-button" onClick={onCopyLink}>
+          {copyStatus === 'copied'
+            ? 'Link copied'
+            : copyStatus === 'failed'
+            ? 'Copy failed — use the address bar'
+            : 'Copy share link'}
+        </button>
+      </div>
+
+      <form className="scenario-group" onSubmit={handleSave}>
+        <label className="control-label" htmlFor="scenario-name">
+          Save scenario
+        </label>
+        <div className="scenario-row">
+          <input
+            id="scenario-name"
+            className="scenario-input"
+            type="text"
+            value={name}
+            maxLength={60}
+            placeholder="e.g. Bull case"
+            onChange={(event) => setName(event.target.value)}
+          />
+          <button
+            type="submit"
+            className="scenario-button"
+            disabled={!trimmedName}
+          >
+            {overwriting ? 'Overwrite' : 'Save'}
+          </button>
+        </div>
+        <p className="control-hint">
+          Saved in this browser only. Pinned baselines are saved with the scenario.
+        </p>
+      </form>
+
+      <div className="scenario-group">
+        <label className="control-label" htmlFor="scenario-select">
+          Saved scenarios
+        </label>
+        <div className="scenario-row">
+          <select
+            id="scenario-select"
+            className="scenario-input"
+            value={selected ? selected.name : ''}
+            onChange={(event) => setSelectedName(event.target.value)}
+            disabled={savedScenarios.length === 0}
+          >
+            <option value="">
+              {savedScenarios.length === 0 ? 'None saved yet' : 'Choose…'}
+            </option>
+            {savedScenarios.map((scenario) => (
+              <option key={scenario.name} value={scenario.name}>
+                {scenario.name}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="scenario-button"
+            onClick={() => onLoad(selected.name)}
+            disabled={!selected}
+          >
+            Load
+          </button>
+          <button
+            type="button"
+            className="scenario-button scenario-button--secondary"
+            onClick={() => {
+              onDelete(selected.name)
+              setSelectedName('')
+            }}
+            disabled={!selected}
+          >
+            Delete
+          </button>
+        </div>
+        {selected ? (
+          <p className="control-hint">
+            Saved {formatSavedAt(selected.savedAt)}
+            {selected.baseline ? ' · pinned baseline' : ' · live baseline'}
+          </p>
+        ) : null}
+      </div>
+    </div>
+  )
+}
+
+export default ScenarioPanel
@@ -0,0 +1,283 @@
+import { useMemo, useState } from 'react'
+import { calculateScenario } from '../../../shared/calculator.js'
+import { formatDeltaLabel, formatPercent } from '../format'
+
+const HEATMAP_STEPS = 9
+
+// % staked SSV starts above zero and SSV price stops short of -100%: at zero staked value
+// the APR is undefined.
+const STAKED_SSV_RANGE = { min: 5, max: 100 }
+const MIN_SSV_PRICE_DELTA = -90
+
+const buildInputDefinitions = (deltaRanges) => [
+  {
+    key: 'ethPriceDeltaPct',
+    label: 'ETH Price',
+    range: deltaRanges.ethPrice,
+    format: formatDeltaLabel,
+  },
+  {
+    key: 'ssvPriceDeltaPct',
+    label: 'SSV Price',
+    range: {
+      min: Math.max(deltaRanges.ssvPrice.min, MIN_SSV_PRICE_DELTA),
+      max: Math.max(deltaRanges.ssvPrice.max, MIN_SSV_PRICE_DELTA),
+    },
+    format: formatDeltaLabel,
+  },
+  {
+    key: 'stakedEthDeltaPct',
+    label: 'Staked ETH',
+    range: deltaRanges.stakedEth,
+    format: formatDeltaLabel,
+  },
+  {
+    key: 'networkFeeDeltaPct',
+    label: 'Network Fee',
+    range: deltaRanges.networkFee,
+    format: formatDeltaLabel,
+  },
+  {
+    key: 'stakedSsvPercent',
+    label: '% Staked SSV',
+    range: STAKED_SSV_RANGE,
+    format: formatPercent,
+  },
+]
+
+const linearSteps = ({ min, max }, count) =>
+  Array.from({ length: count }, (_, index) =>
+    count === 1 ? min : min + ((max - min) * index) / (count - 1)
+  )
+
+const aprFor = (baseline, inputs) => calculateScenario(baseline, inputs).ssvApr
+
+const formatApr = (value) =>
+  typeof value === 'number' && Number.isFinite(value)
+    ? formatPercent(value * 100)
+    : '—'
+
+// One bar per input: the APR at the low and high end of its range, everything else held.
+function buildTornado(baseline, inputs, definitions) {
+  return definitions
+    .map((definition) => {
+      const low = aprFor(baseline, { ...inputs, [definition.key]: definition.range.min })
+      const high = aprFor(baseline, { ...inputs, [definition.key]: definition.range.max })
+      const values = [low, high].filter((value) => typeof value === 'number')
+      return {
+        ...definition,
+        low,
+        high,
+        swing: values.length === 2 ? Math.abs(high - low) : 0,
+      }
+    })
+    .sort((a, b) => b.swing - a.swing)
+}
+
+function buildHeatmap(baseline, inputs, xDefinition, yDefinition) {
+  const xValues = linearSteps(xDefinition.range, HEATMAP_STEPS)
+  // Highest Y value on top, like a chart axis.
+  const yValues = linearSteps(yDefinition.range, HEATMAP_STEPS).reverse()
+
+  const rows = yValues.map((yValue) => ({
+    value: yValue,
+    cells: xValues.map((xValue) => ({
+      value: xValue,
+      apr: aprFor(baseline, {
+        ...inputs,
+        [xDefinition.key]: xValue,
+        [yDefinition.key]: yValue,
+      }),
+    })),
+  }))
+
+  const aprs = rows
+    .flatMap((row) => row.cells.map((cell) => cell.apr))
+    .filter((apr) => typeof apr === 'number' && Number.isFinite(apr))
+
+  return {
+    xValues,
+    rows,
+    min: aprs.length ? Math.min(...aprs) : null,
+    max: aprs.length ? Math.max(...aprs) : null,
+  }
+}
+
+const nearestIndex = (values, target) =>
+  values.reduce(
+    (best, value, index) =>
+      Math.abs(value - target) < Math.abs(values[best] - target) ? index : best,
+    0
+  )
+
+function SensitivityPanel({ baseline, inputs, deltaRanges }) {
+  const [xKey, setXKey] = useState('ssvPriceDeltaPct')
+  const [yKey, setYKey] = useState('stakedSsvPercent')
+
+  const definitions = useMemo(() => buildInputDefinitions(deltaRanges), [deltaRanges])
+  const xDefinition = definitions.find((definition) => definition.key === xKey)
+  const yDefinition = definitions.find((definition) => definition.key === yKey)
+
+  const currentApr = aprFor(baseline, inputs)
+  const tornado = buildTornado(baseline, inputs, definitions)
+  const heatmap = buildHeatmap(baseline, inputs, xDefinition, yDefinition)
+
+  const tornadoValues = tornado
+    .flatMap((entry) => [entry.low, entry.high])
+    .concat(currentApr)
+    .filter((value) => typeof value === 'number' && Number.isFinite(value))
+  const tornadoMin = tornadoValues.length ? Math.min(...tornadoValues) : 0
+  const tornadoMax = tornadoValues.length ? Math.max(...tornadoValues) : 0
+  const tornadoSpan = tornadoMax - tornadoMin || 1
+  const toPosition = (value) => ((value - tornadoMin) / tornadoSpan) * 100
+
+  const heatSpan =
+    heatmap.min !== null && heatmap.max !== null ? heatmap.max - heatmap.min || 1 : 1
+  const currentColumn = nearestIndex(heatmap.xValues, inputs[xKey])
+  const currentRow = nearestIndex(
+    heatmap.rows.map((row) => row.value),
+    inputs[yKey]
+  )
+
+  const handleAxisChange = (axis, key) => {
+    // Picking the other axis' input swaps the two instead of plotting an input against itself.
+    if (axis === 'x') {
+      if (key === yKey) setYKey(xKey)
+      setXKey(key)
+    } else {
+      if (key === xKey) setXKey(yKey)
+      setYKey(key)
+    }
+  }
+
+  return (
+    <div className="sensitivity-panel">
+      <article className="sensitivity-card">
+        <div className="sensitivity-card-header">
+          <h3>Which input moves the APR most?</h3>
+          <p className="control-hint">
+            Each bar swings one input across its slider range while the others stay at
+            the calculator values. Current APR: {formatApr(currentApr)}.
+          </p>
+        </div>
+        <div className="tornado">
+          {tornado.map((entry) => {
+            const hasBar = typeof entry.low === 'number' && typeof entry.high === 'number'
+            const start = hasBar ? toPosition(Math.min(entry.low, entry.high)) : 0
+            const end = hasBar ? toPosition(Math.max(entry.low, entry.high)) : 0
+            return (
+              <div className="tornado-row" key={entry.key}>
+                <span className="tornado-label">{entry.label}</span>
+                <div className="tornado-track">
+                  {hasBar ? (
+                    <div
+                      className="tornado-bar"
+                      style={{ left: `${start}%`, width: `${Math.max(end - start, 0.5)}%` }}
+                      title={`${entry.format(entry.range.min)} → ${formatApr(
+                        entry.low
+                      )}, ${entry.format(entry.range.max)} → ${formatApr(entry.high)}`}
+                    />
+                  ) : null}
+                  {typeof currentApr === 'number' ? (
+                    <div
+                      className="tornado-center"
+                      style={{ left: `${toPosition(currentApr)}%` }}
+                    />
+                  ) : null}
+                </div>
+                <span className="tornado-range">
+                  {formatApr(entry.low)} – {formatApr(entry.high)}
+                </span>
+              </div>
+            )
+          })}
+        </div>
+      </article>
+
+      <article className="sensitivity-card">
+        <div className="sensitivity-card-header">
+          <h3>SSV APR across two inputs</h3>
+          <div className="sensitivity-axes">
+            {[
+              ['x', 'Columns', xKey],
+              ['y', 'Rows', yKey],
+            ].map(([axis, label, selected]) => (
+              <label key={axis} className="sensitivity-axis">
+                <span className="control-label">{label}</span>
+                <select
+                  className="scenario-input"
+                  value={selected}
+                  onChange={(event) => handleAxisChange(axis, event.target.value)}
+                >
+                  {definitions.map((definition) => (
+                    <option key={definition.key} value={definition.key}>
+                      {definition.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+        <div className="heatmap-wrapper">
+          <table className="heatmap">
+            <thead>
+              <tr>
+                <th scope="col" className="heatmap-corner">
+                  {yDefinition.label} ↓ / {xDefinition.label} →
+                </th>
+                {heatmap.xValues.map((value) => (
+                  <th scope="col" key={value}>
+                    {xDefinition.format(Math.round(value))}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {heatmap.rows.map((row, rowIndex) => (
+                <tr key={row.value}>
+                  <th scope="row">{yDefinition.format(Math.round(row.value))}</th>
+                  {row.cells.map((cell, columnIndex) => {
+                    const intensity =
+                      typeof cell.apr === 'number' && heatmap.min !== null
+                        ? (cell.apr - heatmap.min) / heatSpan
+                        : null
+                    const isCurrent =
+                      rowIndex === currentRow && columnIndex === currentColumn
+                    return (
+                      <td
+                        key={cell.value}
+                        className={`heatmap-cell${
+                          intensity !== null && intensity > 0.55
+                            ? ' heatmap-cell--dark'
+                            : ''
+                        }${isCurrent ? ' heatmap-cell--current' : ''}`}
+                        style={
+                          intensity !== null
+                            ? {
+                                backgroundColor: `rgba(37, 99, 235, ${(
+                                  0.06 +
+                                  intensity * 0.84
+                                ).toFixed(3)})`,
+                              }
+                            : undefined
+                        }
+                      >
+                        {formatApr(cell.apr)}
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="control-hint">
+          The outlined cell is closest to the calculator's current values.
+        </p>
+      </article>
+    </div>
+  )
+}
+
+export default SensitivityPanel
@@ -0,0 +1,66 @@
+const SliderControl = ({
+  label,
+  value,
+  onChange,
+  min,
+  max,
+  step,
+  formatter,
+  hint,
+  disabled = false,
+  valueLabel,
+  minLabel,
+  maxLabel,
+  onReset,
+  canReset = true,
+}) => (
+  <div className="control-card">
+    <div className="control-header">
+      <div className="control-meta">
+        <span className="control-label">{label}</span>
+        <span className="control-value">
+          {valueLabel ??
+            (formatter && value !== undefined ? formatter(value) : value)}
+        </span>
+      </div>
+      {onReset ? (
+        <button
+          type="button"
+          className="control-reset"
+          onClick={onReset}
+          disabled={!canReset}
+        >
+          Reset
+        </button>
+      ) : null}
+    </div>
+    {hint ? <p className="control-hint">{hint}</p> : null}
+    <input
+      type="range"
+      min={min}
+      max={max}
+      step={step}
+      value={value}
+      onChange={(event) => {
+        if (onChange) {
+          onChange(Number(event.target.value))
+        }
+      }}
+      aria-label={label}
+      disabled={disabled}
+      className={disabled ? 'disabled' : undefined}
+    />
+    <div className="control-range">
+      <span>
+        {minLabel ??
+          (formatter && min !== undefined ? formatter(min) : String(min))}
+      </span>
+      <span>
+        {maxLabel ??
+          (formatter && max !== undefined ? formatter(max) : String(max))}
+      </span>
+    </div>
+  </div>
+)
+
+export default SliderControl
@@ -0,0 +1,200 @@
+import { useState } from 'react'
+import {
+  applyDelta,
+  calculateScenario,
+  solveForInput,
+} from '../../../shared/calculator.js'
+import {
+  formatCurrency,
+  formatCurrencyPrecise,
+  formatDeltaLabel,
+  formatEthAmount,
+  formatPercent,
+} from '../format'
+
+const TARGETS = {
+  ssvApr: {
+    label: 'Staked SSV APR',
+    unit: '%',
+    defaultValue: 5,
+    toMetric: (value) => value / 100,
+    format: (value) => formatPercent(value * 100),
+  },
+  totalFeesUsd: {
+    label: 'Network Fee (Yearly)',
+    unit: 'USD',
+    defaultValue: 10000000,
+    toMetric: (value) => value,
+    format: formatCurrency,
+  },
+}
+
+const FREE_INPUTS = [
+  {
+    key: 'ssvPriceDeltaPct',
+    label: 'SSV Price',
+    range: 'ssvPrice',
+    baseline: 'ssvPrice',
+    formatAbsolute: formatCurrencyPrecise,
+  },
+  {
+    key: 'stakedEthDeltaPct',
+    label: 'Staked ETH',
+    range: 'stakedEth',
+    baseline: 'stakedEth',
+    formatAbsolute: formatEthAmount,
+  },
+  {
+    key: 'ethPriceDeltaPct',
+    label: 'ETH Price',
+    range: 'ethPrice',
+    baseline: 'ethPrice',
+    formatAbsolute: formatCurrency,
+  },
+  {
+    key: 'networkFeeDeltaPct',
+    label: 'Network Fee',
+    range: 'networkFee',
+    baseline: 'networkFee',
+    formatAbsolute: (value) => formatPercent(value * 100),
+  },
+  { key: 'stakedSsvPercent', label: '% Staked SSV' },
+]
+
+const STAKED_SSV_RANGE = { min: 0, max: 100 }
+
+const FAILURE_MESSAGES = {
+  'no-effect': (freeLabel, targetLabel) =>
+    `${freeLabel} does not affect ${targetLabel}. Pick another input.`,
+  'missing-data': () => 'Waiting for market data before solving.',
+  unreachable: (freeLabel, targetLabel) =>
+    `No ${freeLabel} value reaches that ${targetLabel} with the other inputs fixed.`,
+}
+
+function SolverPanel({ baseline, inputs, deltaRanges, onApply }) {
+  const [metric, setMetric] = useState('ssvApr')
+  const [targetInput, setTargetInput] = useState(String(TARGETS.ssvApr.defaultValue))
+  const [freeKey, setFreeKey] = useState('ssvPriceDeltaPct')
+
+  const target = TARGETS[metric]
+  const free = FREE_INPUTS.find((entry) => entry.key === freeKey)
+  const range = free.range ? deltaRanges[free.range] : STAKED_SSV_RANGE
+  const targetValue = Number(targetInput)
+  const hasTarget = targetInput.trim() !== '' && Number.isFinite(targetValue)
+
+  const solution = hasTarget
+    ? solveForInput({
+        baseline,
+        inputs,
+        metric,
+        target: target.toMetric(targetValue),
+        free: freeKey,
+      })
+    : null
+
+  const solvedValue = solution?.value ?? null
+  const outOfRange =
+    solvedValue !== null && (solvedValue < range.min || solvedValue > range.max)
+  const currentValue = calculateScenario(baseline, inputs)[metric]
+
+  const describeValue = (value) =>
+    free.range
+      ? `${formatDeltaLabel(value)} (${free.formatAbsolute(
+          applyDelta(baseline[free.baseline], value)
+        )})`
+      : formatPercent(value)
+
+  const handleMetricChange = (nextMetric) => {
+    setMetric(nextMetric)
+    setTargetInput(String(TARGETS[nextMetric].defaultValue))
+  }
+
+  return (
+    <div className="solver-panel">
+      <div className="solver-form">
+        <div className="solver-field">
+          <span className="control-label">Solve for a target</span>
+          <div className="control-options" role="radiogroup" aria-label="Target metric">
+            {Object.entries(TARGETS).map(([key, entry]) => (
+              <button
+                key={key}
+                type="button"
+                role="radio"
+                aria-checked={key === metric}
+                className={`control-option${
+                  key === metric ? ' control-option--active' : ''
+                }`}
+                onClick={() => handleMetricChange(key)}
+              >
+                <span className="control-option-label">{entry.label}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+        <label className="solver-field">
+          <span className="control-label">Target ({target.unit})</span>
+          <input
+            className="scenario-input"
+            type="number"
+            min={0}
+            step={metric === 'ssvApr' ? 0.1 : 100000}
+            value={targetInput}
+            onChange={(event) => setTargetInput(event.target.value)}
+          />
+          <span className="control-hint">
+            Currently {currentValue !== null ? target.format(currentValue) : '—'}
+          </span>
+        </label>
+        <label className="solver-field">
+          <span className="control-label">Free input</span>
+          <select
+            className="scenario-input"
+            value={freeKey}
+            onChange={(event) => setFreeKey(event.target.value)}
+          >
+            {FREE_INPUTS.map((entry) => (
+              <option key={entry.key} value={entry.key}>
+                {entry.label}
+              </option>
+            ))}
+          </select>
+          <span className="control-hint">Every other input stays as set above.</span>
+        </label>
+      </div>
+
+      <div className="solver-result">
+        {solvedValue !== null ? (
+          <>
+            <span className="metric-label">{free.label} needed</span>
+            <span className="solver-value">{describeValue(solvedValue)}</span>
+            <span className="control-hint">
+              Currently {describeValue(inputs[freeKey])}
+            </span>
+            {outOfRange ? (
+              <p className="estimator-warning">
+                Outside the slider range ({describeValue(range.min)} to{' '}
+                {describeValue(range.max)}). Applying it will stop at{' '}
+                {describeValue(Math.min(Math.max(solvedValue, range.min), range.max))}.
+              </p>
+            ) : null}
+            <button
+              type="button"
+              className="scenario-button"
+              onClick={() => onApply(freeKey, solvedValue)}
+            >
+              {outOfRange ? 'Apply nearest value' : 'Apply to slider'}
+            </button>
+          </>
+        ) : (
+          <p className="control-hint">
+            {!hasTarget
+              ? 'Enter a target to solve.'
+              : FAILURE_MESSAGES[solution.reason](free.label, target.label)}
+          </p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default SolverPanel
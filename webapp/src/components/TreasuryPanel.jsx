@@ -0,0 +1,164 @@
+import { useEffect, useState } from 'react'
+import { fetchTreasury } from '../api'
+import {
+  formatCurrency,
+  formatEthAmount,
+  formatEthPrecise,
+  formatNumber,
+  formatPercent,
+} from '../format'
+import MiniChart from './MiniChart'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const PROJECTION_DAYS = 365
+const CHART_POINTS = 8
+
+const formatOptional = (value, formatter) =>
+  typeof value === 'number' && Number.isFinite(value) ? formatter(value) : '—'
+
+// Fixed decimals so the counter visibly ticks between refreshes.
+const formatCounterEth = (value) =>
+  `${value.toLocaleString('en-US', {
+    minimumFractionDigits: 4,
+    maximumFractionDigits: 4,
+  })} ETH`
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  })
+
+// Evenly spaced points, always keeping the first and last, so long ranges stay readable.
+function samplePoints(points, count) {
+  if (points.length <= count) return points
+  const step = (points.length - 1) / (count - 1)
+  return Array.from({ length: count }, (_, index) => points[Math.round(index * step)])
+}
+
+const chartPoints = (points) =>
+  samplePoints(points, CHART_POINTS).map((point) => ({
+    label: formatDay(point.date),
+    value: point.balanceEth,
+  }))
+
+// Reloads whenever `refreshKey` changes (the snapshot's lastUpdated). Between reloads the
+// counter keeps accruing at the latest daily rate.
+function TreasuryPanel({ stakedSsv, refreshKey }) {
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState(null)
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    let isMounted = true
+
+    fetchTreasury({ projectionDays: PROJECTION_DAYS })
+      .then((data) => {
+        if (!isMounted) return
+        setResult(data)
+        setError(null)
+      })
+      .catch((treasuryError) => {
+        if (!isMounted) return
+        console.error(treasuryError)
+        setError('Treasury history is not available right now.')
+      })
+
+    return () => {
+      isMounted = false
+    }
+  }, [refreshKey])
+
+  useEffect(() => {
+    const timer = window.setInterval(() => setNow(Date.now()), 1000)
+    return () => window.clearInterval(timer)
+  }, [])
+
+  if (!result) {
+    return (
+      <div className="treasury-panel">
+        <p className={error ? 'estimator-warning' : 'control-hint'}>
+          {error ?? 'Loading treasury history…'}
+        </p>
+      </div>
+    )
+  }
+
+  const { actual, projected, assumptions } = result
+  const sinceLabel = new Date(result.from).toLocaleDateString()
+  const accruedEth =
+    actual.balanceEth +
+    (actual.dailyFeesEth * Math.max(0, now - Date.parse(result.to))) / DAY_MS
+  const accruedUsd =
+    typeof assumptions.ethPrice === 'number' ? accruedEth * assumptions.ethPrice : null
+  const perStakedSsv =
+    typeof stakedSsv === 'number' && stakedSsv > 0 ? accruedEth / stakedSsv : null
+
+  return (
+    <div className="treasury-panel">
+      <div className="treasury-results">
+        <div className="estimator-period treasury-counter">
+          <span className="metric-label">{`Fees accrued since ${sinceLabel}`}</span>
+          <span className="estimator-eth">{formatCounterEth(accruedEth)}</span>
+          <span className="estimator-usd">{formatOptional(accruedUsd, formatCurrency)}</span>
+        </div>
+        <dl className="treasury-figures">
+          <div>
+            <dt>Per staked SSV, had staking been live</dt>
+            <dd>{formatEthPrecise(perStakedSsv)}</dd>
+          </div>
+          <div>
+            <dt>Accruing per day</dt>
+            <dd>{formatEthPrecise(actual.dailyFeesEth)}</dd>
+          </div>
+          <div>
+            <dt>{`Projected in ${formatNumber(projected.days)} days`}</dt>
+            <dd>
+              {`${formatEthAmount(projected.balanceEth)} (${formatOptional(
+                projected.balanceUsd,
+                formatCurrency
+              )})`}
+            </dd>
+          </div>
+        </dl>
+        <p className="control-hint">
+          {`Built from ${formatNumber(actual.days)} days of recorded staked ETH, APR and ` +
+            `share of clusters paying in ETH on ${result.network} (${formatPercent(
+              assumptions.ethPaymentShare * 100
+            )} today), with a ${formatPercent(assumptions.networkFee * 100)} network fee. ` +
+            "The projection holds today's values flat."}
+        </p>
+        {actual.estimatedDays > 0 ? (
+          <p className="estimator-warning">
+            {`${formatNumber(actual.estimatedDays)} days before the first recorded sample reuse its value.`}
+          </p>
+        ) : null}
+        {actual.estimatedShareDays > 0 ? (
+          <p className="estimator-warning">
+            {`${formatNumber(
+              actual.estimatedShareDays
+            )} days have no recorded ETH-paying share and reuse the nearest known one.`}
+          </p>
+        ) : null}
+        {error ? <p className="estimator-warning">{error}</p> : null}
+      </div>
+
+      <div className="treasury-charts">
+        <MiniChart
+          title="Stakers would have received"
+          points={chartPoints(result.points.filter((point) => !point.projected))}
+          formatValue={formatEthPrecise}
+        />
+        <MiniChart
+          title="Projected treasury balance"
+          points={chartPoints(result.points.filter((point) => point.projected))}
+          formatValue={formatEthPrecise}
+          variant="bar"
+        />
+      </div>
+    </div>
+  )
+}
+
+export default TreasuryPanel
@@ -0,0 +1,70 @@
+export const formatCurrency = (value) =>
+  new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    maximumFractionDigits: 0,
+  }).format(value)
+
+export const formatNumber = (value) =>
+  new Intl.NumberFormat('en-US', {
+    maximumFractionDigits: 0,
+  }).format(value)
+
+export const formatPercent = (value) =>
+  `${value.toLocaleString(undefined, {
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1,
+  })}%`
+
+export const formatDeltaLabel = (value) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return '—'
+  const formatted = value.toLocaleString(undefined, {
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2,
+  })
+  const sign = value > 0 ? '+' : ''
+  return `${sign}${formatted}%`
+}
+
+export const formatValueWithDelta = (value, deltaPct, formatter) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return null
+  }
+
+  const format = formatter ?? ((input) => input)
+  const formattedValue = format(value)
+
+  if (typeof deltaPct !== 'number' || !Number.isFinite(deltaPct) || deltaPct === 0) {
+    return formattedValue
+  }
+
+  const sign = deltaPct > 0 ? '+' : ''
+  return `${formattedValue} (${sign}${deltaPct.toFixed(0)}%)`
+}
+
+export const formatEthAmount = (value) => `${formatNumber(Math.round(value))} ETH`
+export const formatTokenAmount = (value, symbol) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return `— ${symbol}`
+  }
+
+  return `${new Intl.NumberFormat('en-US', {
+    maximumFractionDigits: 2,
+  }).format(value)} ${symbol}`
+}
+
+// Small per-holder amounts need more precision than the network-wide totals.
+export const formatEthPrecise = (value) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return '— ETH'
+  return `${new Intl.NumberFormat('en-US', {
+    maximumSignificantDigits: 4,
+  }).format(value)} ETH`
+}
+
+export const formatCurrencyPrecise = (value) =>
+  new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(value)
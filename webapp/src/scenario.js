@@ -0,0 +1,256 @@
+// Serializes calculator scenarios into the URL query string and localStorage.
+// Keys are kept short and readable so shared links stay legible in a tweet.
+
+const INPUT_PARAMS = {
+  ethPriceDeltaPct: 'ethPrice',
+  ssvPriceDeltaPct: 'ssvPrice',
+  stakedEthDeltaPct: 'stakedEth',
+  networkFeeDeltaPct: 'networkFee',
+  stakedSsvPercent: 'stakedSsv',
+  ethPaymentPercent: 'ethPaying',
+}
+
+// The optional ETH payment migration; `ethPaying` above is then the share at launch.
+const MIGRATION_PARAMS = {
+  targetPercent: 'ethPayingTarget',
+  years: 'ethPayingYears',
+}
+const MIGRATION_CURVE_PARAM = 'ethPayingCurve'
+
+const BASELINE_PARAMS = {
+  ethPrice: 'baseEthPrice',
+  ssvPrice: 'baseSsvPrice',
+  stakedEth: 'baseStakedEth',
+  ethAprPercent: 'baseEthApr',
+  ssvTotalSupply: 'baseSsvSupply',
+  networkFee: 'baseNetworkFee',
+}
+
+const APR_WINDOW_PARAM = 'aprWindow'
+const PINNED_AT_PARAM = 'pinnedAt'
+
+const SAVED_SCENARIOS_KEY = 'ssv-eth-accrual:scenarios'
+const COMPARISON_COLUMNS_KEY = 'ssv-eth-accrual:comparison'
+const SELECTED_NETWORK_KEY = 'ssv-eth-accrual:network'
+
+export const SCENARIO_INPUT_KEYS = Object.keys(INPUT_PARAMS)
+export const SCENARIO_BASELINE_KEYS = Object.keys(BASELINE_PARAMS)
+
+const readNumberParam = (params, name) => {
+  const raw = params.get(name)
+  if (raw === null || raw.trim() === '') return undefined
+  const numeric = Number(raw)
+  return Number.isFinite(numeric) ? numeric : undefined
+}
+
+const isCompleteBaseline = (baseline) =>
+  Boolean(baseline) &&
+  SCENARIO_BASELINE_KEYS.every(
+    (key) => typeof baseline[key] === 'number' && Number.isFinite(baseline[key])
+  )
+
+export function readScenarioFromSearch(search) {
+  const params = new URLSearchParams(search)
+
+  const inputs = SCENARIO_INPUT_KEYS.reduce((acc, key) => {
+    const value = readNumberParam(params, INPUT_PARAMS[key])
+    if (value !== undefined) {
+      acc[key] = value
+    }
+    return acc
+  }, {})
+
+  const baseline = SCENARIO_BASELINE_KEYS.reduce((acc, key) => {
+    acc[key] = readNumberParam(params, BASELINE_PARAMS[key])
+    return acc
+  }, {})
+
+  const ethAprWindow = params.get(APR_WINDOW_PARAM) || null
+
+  const migrationCurve = params.get(MIGRATION_CURVE_PARAM)
+  const migration = Object.entries(MIGRATION_PARAMS).reduce(
+    (acc, [key, name]) => {
+      acc[key] = readNumberParam(params, name)
+      return acc
+    },
+    { curve: migrationCurve }
+  )
+  const ethPaymentMigration =
+    migrationCurve && migration.targetPercent !== undefined && migration.years !== undefined
+      ? migration
+      : null
+
+  if (
+    Object.keys(inputs).length === 0 &&
+    !ethAprWindow &&
+    !ethPaymentMigration &&
+    !isCompleteBaseline(baseline)
+  ) {
+    return null
+  }
+
+  return {
+    inputs,
+    ethAprWindow,
+    ethPaymentMigration,
+    baseline: isCompleteBaseline(baseline)
+      ? { ...baseline, pinnedAt: params.get(PINNED_AT_PARAM) || null }
+      : null,
+  }
+}
+
+// Replaces only the scenario params so unrelated query params survive.
+export function buildScenarioSearch(scenario, search = '') {
+  const params = new URLSearchParams(search)
+
+  for (const name of [
+    ...Object.values(INPUT_PARAMS),
+    ...Object.values(BASELINE_PARAMS),
+    ...Object.values(MIGRATION_PARAMS),
+    MIGRATION_CURVE_PARAM,
+    APR_WINDOW_PARAM,
+    PINNED_AT_PARAM,
+  ]) {
+    params.delete(name)
+  }
+
+  if (scenario) {
+    for (const key of SCENARIO_INPUT_KEYS) {
+      const value = scenario.inputs?.[key]
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        params.set(INPUT_PARAMS[key], String(value))
+      }
+    }
+
+    if (scenario.ethAprWindow) {
+      params.set(APR_WINDOW_PARAM, scenario.ethAprWindow)
+    }
+
+    if (scenario.ethPaymentMigration) {
+      for (const [key, name] of Object.entries(MIGRATION_PARAMS)) {
+        params.set(name, String(scenario.ethPaymentMigration[key]))
+      }
+      params.set(MIGRATION_CURVE_PARAM, scenario.ethPaymentMigration.curve)
+    }
+
+    if (isCompleteBaseline(scenario.baseline)) {
+      for (const key of SCENARIO_BASELINE_KEYS) {
+        params.set(BASELINE_PARAMS[key], String(scenario.baseline[key]))
+      }
+      if (scenario.baseline.pinnedAt) {
+        params.set(PINNED_AT_PARAM, scenario.baseline.pinnedAt)
+      }
+    }
+  }
+
+  const serialized = params.toString()
+  return serialized ? `?${serialized}` : ''
+}
+
+// Share ids are the scenario query string in base64url; the backend decodes the same params.
+export function encodeScenarioId(scenario) {
+  return window
+    .btoa(buildScenarioSearch(scenario).replace(/^\?/, ''))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+export function buildScenarioUrl(scenario, location = window.location) {
+  return `${location.origin}${location.pathname}${buildScenarioSearch(
+    scenario,
+    location.search
+  )}${location.hash}`
+}
+
+export function writeScenarioToUrl(scenario) {
+  const nextUrl = buildScenarioUrl(scenario)
+  if (nextUrl !== window.location.href) {
+    window.history.replaceState(window.history.state, '', nextUrl)
+  }
+}
+
+export function loadSavedScenarios() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SAVED_SCENARIOS_KEY))
+    return Array.isArray(stored)
+      ? stored.filter(
+          (scenario) => typeof scenario?.name === 'string' && scenario.inputs
+        )
+      : []
+  } catch {
+    return []
+  }
+}
+
+export function persistSavedScenarios(scenarios) {
+  try {
+    window.localStorage.setItem(SAVED_SCENARIOS_KEY, JSON.stringify(scenarios))
+    return true
+  } catch (storageError) {
+    console.error(storageError)
+    return false
+  }
+}
+
+export function captureBaseline(values) {
+  const baseline = SCENARIO_BASELINE_KEYS.reduce((acc, key) => {
+    acc[key] = values[key]
+    return acc
+  }, {})
+
+  return isCompleteBaseline(baseline)
+    ? { ...baseline, pinnedAt: new Date().toISOString() }
+    : null
+}
+
+export function loadComparisonColumns() {
+  try {
+    const stored = JSON.parse(
+      window.localStorage.getItem(COMPARISON_COLUMNS_KEY)
+    )
+    return Array.isArray(stored)
+      ? stored.filter(
+          (column) =>
+            typeof column?.id === 'string' &&
+            typeof column.name === 'string' &&
+            column.inputs
+        )
+      : []
+  } catch {
+    return []
+  }
+}
+
+export function persistComparisonColumns(columns) {
+  try {
+    window.localStorage.setItem(COMPARISON_COLUMNS_KEY, JSON.stringify(columns))
+    return true
+  } catch (storageError) {
+    console.error(storageError)
+    return false
+  }
+}
+
+// Null means "use the backend's default network".
+export function loadSelectedNetwork() {
+  try {
+    return window.localStorage.getItem(SELECTED_NETWORK_KEY) || null
+  } catch {
+    return null
+  }
+}
+
+export function persistSelectedNetwork(network) {
+  try {
+    if (network) {
+      window.localStorage.setItem(SELECTED_NETWORK_KEY, network)
+    } else {
+      window.localStorage.removeItem(SELECTED_NETWORK_KEY)
+    }
+    return true
+  } catch (storageError) {
+    console.error(storageError)
+    return false
+  }
+}
@@ -0,0 +1,15 @@
+import { runMonteCarlo } from '../../../shared/montecarlo.js'
+
+// Runs simulations off the main thread. Each request carries an id so the panel can ignore
+// results from runs it has already superseded.
+self.onmessage = (event) => {
+  const { id, simulation } = event.data ?? {}
+  try {
+    self.postMessage({ id, result: runMonteCarlo(simulation) })
+  } catch (error) {
+    self.postMessage({
+      id,
+      error: error instanceof Error ? error.message : 'Simulation failed.',
+    })
+  }
+}